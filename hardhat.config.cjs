@@ -0,0 +1,9 @@
+// Hardhat is only used by the test suite, as the local chain the bot is pointed at
+// (`hardhat node`, started by test/helpers/chain.js). The mock contracts are compiled with solc-js.
+
+module.exports = {
+  networks: {
+    // 区块时间戳跟随真实时间（默认每个区块至少 +1 秒，连续出块时会超前于当前时间）
+    hardhat: { chainId: 31337, allowBlocksWithSameTimestamp: true }
+  }
+}
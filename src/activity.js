@@ -0,0 +1,49 @@
+// Post-launch activity for followed tokens: trade classification from Transfer logs and
+// bonding-curve progress milestones.
+// Curve progress is measured as the share of supply that has left the curve contract, relative
+// to the share sold when a PumpToken graduates (`graduationPct`, configurable because the
+// factory does not expose it).
+
+export const CURVE_MILESTONES = [25, 50, 75, 90]
+
+const ZERO = '0x0000000000000000000000000000000000000000'
+
+// reserveWokb 为上次轮询到的池子 WOKB 储备（字符串），activeAt 为它最近一次变化的时间
+export function createTracking() {
+  return { pool: null, milestone: 0, graduated: false, reserveWokb: null, activeAt: Date.now() }
+}
+
+// 记录轮询到的储备；有成交时储备必然变化
+export function notePoolReserve(tracking, reserveWokb, now = Date.now()) {
+  const reserve = reserveWokb.toString()
+  if (tracking.reserveWokb === reserve) return
+  tracking.reserveWokb = reserve
+  tracking.activeAt = now
+}
+
+// 池子储备（或池子本身找不到）已超过 idleMs 没有变化：视为死盘
+export function isIdle(tracking, now, idleMs) {
+  return now - tracking.activeAt >= idleMs
+}
+
+// Transfer 出自池子为买入，转入池子为卖出；铸造/销毁与池子无关的转账忽略
+export function classifyTransfer(from, to, poolAddr) {
+  const pool = poolAddr.toLowerCase()
+  if (from.toLowerCase() === ZERO || to.toLowerCase() === ZERO) return null
+  if (from.toLowerCase() === pool) return { side: 'buy', trader: to }
+  if (to.toLowerCase() === pool) return { side: 'sell', trader: from }
+  return null
+}
+
+// 返回 0-100 的联合曲线完成度
+export function curveProgress(reserveToken, totalSupply, graduationPct = 80) {
+  if (!totalSupply) return 0
+  const soldPct = Number(((totalSupply - reserveToken) * 10000n) / totalSupply) / 100
+  return Math.max(0, Math.min(100, (soldPct / graduationPct) * 100))
+}
+
+// 本次新达到的最高里程碑（未达到新的里程碑时返回 null）
+export function reachedMilestone(progress, last = 0) {
+  const reached = CURVE_MILESTONES.filter((m) => progress >= m && m > last)
+  return reached.length ? reached[reached.length - 1] : null
+}
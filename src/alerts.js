@@ -0,0 +1,70 @@
+// Per (user, token) market cap alert rules.
+// direction: 'above' | 'below' fire on crossing targetUsd; 'move' fires on a movePct change from baseMcUsd.
+// mode: 'once' disarms after firing; 'rearm' re-arms once cooldownMin has passed.
+
+export const DEFAULT_COOLDOWN_MIN = 60
+
+export function createAlertRule({ direction = 'above', targetUsd = null, movePct = null, baseMcUsd = null, mode = 'once' }) {
+  return {
+    direction,
+    targetUsd,
+    movePct,
+    baseMcUsd,
+    mode,
+    cooldownMin: DEFAULT_COOLDOWN_MIN,
+    armed: true,
+    lastFired: null,
+    createdAt: Date.now()
+  }
+}
+
+function conditionMet(rule, mcUsd) {
+  if (rule.direction === 'above') return mcUsd >= rule.targetUsd
+  if (rule.direction === 'below') return mcUsd <= rule.targetUsd
+  if (rule.direction === 'move') {
+    if (!rule.baseMcUsd) return false
+    return (Math.abs(mcUsd - rule.baseMcUsd) / rule.baseMcUsd) * 100 >= rule.movePct
+  }
+  return false
+}
+
+// 评估一次规则；触发时更新状态并返回 true
+export function evaluateAlert(rule, mcUsd, now = Date.now()) {
+  // 百分比规则第一次看到市值时记录基准
+  if (rule.direction === 'move' && !rule.baseMcUsd) {
+    rule.baseMcUsd = mcUsd
+    return false
+  }
+  if (!rule.armed && rule.mode === 'rearm' && rule.lastFired !== null && now - rule.lastFired >= rule.cooldownMin * 60 * 1000) {
+    rule.armed = true
+  }
+  if (!rule.armed || !conditionMet(rule, mcUsd)) return false
+  rule.armed = false
+  rule.lastFired = now
+  if (rule.direction === 'move') rule.baseMcUsd = mcUsd
+  return true
+}
+
+// 已触发的一次性规则不会再自动激活；保留 retentionMs 供用户手动重新激活，之后即可清理
+export function isSpent(rule, now, retentionMs) {
+  return rule.mode === 'once' && !rule.armed && rule.lastFired !== null && now - rule.lastFired >= retentionMs
+}
+
+// 解析 '50000' / '50k' / '1.2m' / '$3M'
+export function parseUsd(text) {
+  const m = String(text || '').trim().toLowerCase().replace(/[$,]/g, '').match(/^(\d+(?:\.\d+)?)([km]?)$/)
+  if (!m) return null
+  const n = Number(m[1]) * (m[2] === 'k' ? 1e3 : m[2] === 'm' ? 1e6 : 1)
+  return n > 0 ? n : null
+}
+
+// 解析 '20%'，返回百分比数字
+export function parsePct(text) {
+  const m = String(text || '').trim().match(/^(\d+(?:\.\d+)?)%$/)
+  const n = m ? Number(m[1]) : null
+  return n && n > 0 ? n : null
+}
+
+export function formatUsd(n) {
+  return `$${Number(n).toLocaleString('en-US', { maximumFractionDigits: 0 })}`
+}
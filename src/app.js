@@ -0,0 +1,2928 @@
+// The bot itself: state, Telegram handlers, chain log handlers and the HTTP routes.
+// createApp() takes the RPC pool (src/rpc.js) and the Telegraf instance from the caller, so the
+// entry point (index.webhook.js) wires in the live chain and Telegram while the tests use a local
+// chain and a stub Bot API server. Nothing runs until start(); stop() drains and saves.
+
+import { fileURLToPath } from 'url'
+import { Telegraf } from 'telegraf'
+import { ethers } from 'ethers'
+import { createStorage } from './storage.js'
+import { createPriceService, formatMarketCap } from './price.js'
+import { createTrader } from './trade.js'
+import { createPosition, addToPosition, reducePosition, entryPrice, parseExitLevel, checkExit, formatExitLevel } from './positions.js'
+import { createAlertRule, evaluateAlert, isSpent, parseUsd, parsePct, formatUsd } from './alerts.js'
+import { createSnipeRule, matchesSnipeRule, checkSpendCaps, recordSpend, spentToday } from './snipe.js'
+import { defaultFilters, passesFilters, parseKeywords, parseRange } from './filters.js'
+import { createReputationService } from './reputation.js'
+import { getLogsChunked } from './logs.js'
+import { createBlockWatcher } from './watcher.js'
+import { createI18n, FALLBACK_LANG, escapeHtml } from './i18n.js'
+import { createSendQueue, PRIORITY } from './queue.js'
+import { createTracking, notePoolReserve, isIdle, classifyTransfer, curveProgress, reachedMilestone } from './activity.js'
+import { parseReferrer, checkReferral, createReferralEarnings, accrueReferral } from './referrals.js'
+import { MAX_WATCHED_WALLETS, createWatchedWallet, cleanLabel, walletName, walletTopics } from './wallets.js'
+import { sendJson, sendText, hasValidToken, formatMetrics } from './http.js'
+import { DIGEST_PERIODS, nextDigestMode, periodStart, isDigestDue, rankMovers, formatChange } from './digest.js'
+
+export function createApp({ env = process.env, rpc, bot = new Telegraf(env.TG_BOT_TOKEN), mcCheckInterval = 5 * 60 * 1000 }) {
+  const {
+    TRADER_PRIVATE_KEY,
+    STORAGE_DRIVER = 'json', // 'json' | 'memory'
+    STORAGE_PATH = './data/state.json', // point at a persistent disk in production
+    PUMPU_FACTORY = '0xC4cEBDf3D4bBF14812DcCB1ccB20AB26EA547f44', // PumpU factory on X Layer (override for a local chain)
+    WOKB_ADDR = '0xe538905cf8410324e03a5a23c1c177a474d59b2b', // WOKB on X Layer
+    DEX_FACTORY, // UniswapV2-style factory used for pair discovery
+    WOKB_USD_PAIR, // explicit WOKB/stable pair; otherwise looked up via DEX_FACTORY (one of the two is required)
+    STABLE_ADDR = '0x1E4a5963aBFD975d8c9021ce480b42188849D41d', // USDT on X Layer
+    DEX_ROUTER, // UniswapV2-style router used once a token trades on a DEX pair
+    TRADER_ALLOWLIST = '', // comma-separated Telegram user ids allowed to trade with the shared wallet
+    TRADE_SLIPPAGE_BPS = 500,
+    TRADE_GAS_LIMIT = 500000,
+    QUICK_BUY_OKB = '0.1', // amount used by the Buy button on deploy pushes
+    INITIAL_BACKFILL_BLOCKS = 50000, // history to index on first start (no saved cursor)
+    LOGS_CHUNK_SIZE = 5000, // starting getLogs block range; halves on RPC range errors
+    FACTORY_START_BLOCK = 0, // block PUMPU_FACTORY was deployed at; lower bound for factory history scans
+    ANALYZE_SCAN_BLOCKS = 200000, // how far back /analyze searches getLogs for tokens outside the local index
+    CONFIRMATIONS = 2, // blocks to wait before processing; deeper reorgs are rescanned
+    CURVE_GRADUATION_PCT = 80, // share of supply sold on the bonding curve when a token graduates
+    MAX_WATCHED_TOKENS = 500, // followed tokens whose Transfer logs the watcher subscribes to; older ones are only polled
+    TOKEN_IDLE_DAYS = 7, // followed tokens whose pool has not changed for this long are dropped
+    ALERT_RETENTION_DAYS = 7, // how long a fired one-shot alert is kept for manual re-arming
+    ADMIN_IDS = '', // comma-separated Telegram user ids with access to the admin console
+    TRADE_FEE_BPS = 0, // nominal fee on bot-wallet trades used for referral accounting
+    REFERRAL_SHARE_PCT = 20, // share of that fee credited to the referrer
+    HEALTH_MAX_LAG = 100, // blocks behind head before /healthz reports unhealthy
+    API_TOKEN // bearer token for the /api JSON endpoints (disabled when unset)
+  } = env
+
+  const provider = rpc.provider
+  const wallet = new ethers.Wallet(TRADER_PRIVATE_KEY, provider)
+  const prices = createPriceService({
+    provider,
+    wokbAddr: WOKB_ADDR,
+    stableAddr: STABLE_ADDR,
+    dexFactory: DEX_FACTORY,
+    wokbStablePair: WOKB_USD_PAIR
+  })
+  const trader = createTrader({
+    provider,
+    wallet,
+    prices,
+    wokbAddr: WOKB_ADDR,
+    dexRouter: DEX_ROUTER,
+    slippageBps: Number(TRADE_SLIPPAGE_BPS),
+    gasLimit: Number(TRADE_GAS_LIMIT)
+  })
+  const reputation = createReputationService({ provider, prices, factoryAddr: PUMPU_FACTORY })
+  const i18n = createI18n({ dir: fileURLToPath(new URL('../locales', import.meta.url)) })
+  const t = i18n.t
+  const tradeAllowlist = new Set(TRADER_ALLOWLIST.split(',').map((id) => Number(id.trim())).filter(Boolean))
+  const adminIds = new Set(ADMIN_IDS.split(',').map((id) => Number(id.trim())).filter(Boolean))
+
+  // ABIs
+  const ERC20_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+  ]
+  const PUMPU_FACTORY_ABI = [ 'event Deployed(address indexed addr, uint256 amount)' ]
+  const PUMPTOKEN_META_ABI = [
+    'function description() view returns (string)',
+    'function website() view returns (string)',
+    'function telegram() view returns (string)',
+    'function twitter() view returns (string)'
+  ]
+  const PUMPU_IFACE = new ethers.Interface(PUMPU_FACTORY_ABI)
+  const ERC20_IFACE = new ethers.Interface(ERC20_ABI)
+  const DEPLOYED_TOPIC = ethers.id('Deployed(address,uint256)')
+  const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)')
+
+  // Bot（由调用方注入，测试时指向模拟的 Telegram API）
+  let BOT_USERNAME = ''
+
+  // 所有主动推送都经由发送队列（限速、重试、优先级）
+  const outbox = createSendQueue({ telegram: bot.telegram, onBlocked: removeChat })
+
+  // State（私聊时 chatId 即 userId；群组与频道按 chatId 保存设置）
+  const subscribedUsers = new Set() // chatId
+  const userPushPrefs = new Map() // chatId -> { ...push filters (src/filters.js), mcUsdThreshold: number|null, lang: locales/<lang>.json, notify }
+
+  // 新增：市值提醒功能
+  const marketCapAlerts = new Map() // tokenAddr -> { symbol, lastPushed: timestamp, users: Map<userId, rule>, tracking }（见 src/alerts.js、src/activity.js）
+  const MC_CHECK_INTERVAL = mcCheckInterval // 默认 5 分钟检查一次市值
+  let lastMcCheck = 0
+
+  // 新增：自动狙击规则
+  const snipeRules = new Map() // userId -> rule[]（见 src/snipe.js）
+  const MAX_SNIPE_RULES = 5
+
+  // 新增：持仓（机器人钱包买入的代币，按用户记账）
+  const positions = new Map() // userId -> Map<tokenAddr, position>（见 src/positions.js）
+  const exitingPositions = new Set() // `${userId}:${tokenAddr}`，避免重复触发止盈止损
+
+  // 新增：跟踪的钱包（按会话保存，见 src/wallets.js）
+  const watchedWallets = new Map() // chatId -> [{ address, label, copyTrade, copyMaxOkb, addedAt }]
+  const pumpTokenCache = new Map() // tokenAddr -> 是否为 PumpToken
+  const MAX_PUMP_TOKEN_CACHE = 5000
+
+  // 新增：本地部署历史（/recent、过滤预览、分析）与部署者发币索引
+  const deployHistory = [] // 按区块顺序，最新的在末尾
+  const deployIndex = new Map() // tokenAddr -> deployHistory 中的记录
+  const MAX_DEPLOY_HISTORY = 2000
+  const deployerTokens = new Map() // deployer(lowercase) -> 已知代币地址（旧 → 新）
+  const FILTER_PREVIEW_SIZE = 50
+
+  // 新增：摘要与排行榜（见 src/digest.js）
+  const digestEvents = [] // 提醒触发与毕业事件 { kind: 'alert'|'graduation', token, symbol, mcUsd, chatId?, at }，最新的在末尾
+  const MAX_DIGEST_EVENTS = 2000
+  const DIGEST_MAX_TOKENS = 50 // 每个周期最多查询的代币数（最近上线的优先）
+  const DIGEST_TOP_SIZE = 5
+
+  // 新增：邀请关系（见 src/referrals.js）
+  const referrals = new Map() // refereeId -> { referrer, at }
+  const referralEarnings = new Map() // referrerId -> { volumeWei, feeShareWei, trades }
+
+  // 新增：管理员控制台状态
+  const bannedUsers = new Set() // 被封禁的用户或会话 id
+  const lastSeen = new Map() // userId -> 最近一次交互时间（活跃用户统计）
+  const botStats = { since: Date.now(), deploysSeen: 0, pushesSent: 0, alertsFired: 0, followUps: 0, broadcasts: 0 }
+  const settings = { maintenance: false, securityHeader: {} } // securityHeader: { [lang]: text }，未设置时使用默认文案
+
+  // Watcher cursor
+  let lastProcessed = 0
+  let indexedFrom = null // 部署索引覆盖的起始区块（部署者历史只统计此后的代币）
+  const sentKeys = new Set()
+  const MAX_SENT_KEYS = 5000
+  const pushMessages = new Map() // `${chatId}:${tokenAddr}` -> 部署推送的 message_id，后续动态以回复形式发送
+  const MAX_PUSH_MESSAGES = 5000
+
+  function defaultPrefs(lang = FALLBACK_LANG) {
+    return { ...defaultFilters(), mcUsdThreshold: null, largeTradeOkb: null, lang, notify: defaultNotify(), digest: 'off', digestSentAt: null }
+  }
+  // 各类通知开关（群组/频道可按需关闭）
+  function defaultNotify() {
+    return { deploys: true, alerts: true, devSells: true, milestones: true, graduation: true }
+  }
+  // 设置归属于当前会话，而不是发送者
+  function chatKey(ctx) {
+    return ctx.chat?.id ?? ctx.from.id
+  }
+
+  // 群组/频道中只有管理员可以修改设置
+  async function canManageChat(ctx) {
+    const type = ctx.chat?.type
+    if (!type || type === 'private') return true
+    // 频道自身发出的消息，或以群组身份发言的匿名管理员
+    if (!ctx.from || ctx.msg?.sender_chat?.id === ctx.chat.id) return true
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id).catch(() => null)
+    return member?.status === 'creator' || member?.status === 'administrator'
+  }
+
+  function denyNonAdmin(ctx) {
+    const text = t(getPrefs(chatKey(ctx)).lang, 'common.adminOnly')
+    return ctx.callbackQuery ? ctx.answerCbQuery(text, { show_alert: true }) : ctx.reply(text)
+  }
+
+  // 私聊新用户的 Telegram language_code，首次创建偏好时用于选择默认语言
+  const languageHints = new Map() // chatId -> language_code
+  function getPrefs(id) {
+    if (!userPushPrefs.has(id)) {
+      userPushPrefs.set(id, defaultPrefs(i18n.detect(languageHints.get(id))))
+      languageHints.delete(id)
+    }
+    return userPushPrefs.get(id)
+  }
+  function setLang(id, lang) { getPrefs(id).lang = (i18n.has(lang) ? lang : FALLBACK_LANG); saveState() }
+
+  // 新增：持久化（订阅、偏好、提醒、已推送记录、区块游标）
+  const storage = createStorage({ driver: STORAGE_DRIVER, file: STORAGE_PATH })
+
+  async function loadState() {
+    for (const id of (await storage.get('subscribedUsers')) || []) subscribedUsers.add(id)
+    for (const [id, prefs] of (await storage.get('userPushPrefs')) || []) {
+      userPushPrefs.set(id, { ...defaultPrefs(), ...prefs, notify: { ...defaultNotify(), ...prefs.notify } })
+    }
+    for (const [addr, alert] of (await storage.get('marketCapAlerts')) || []) {
+      // 旧格式 users 为 userId 数组，按用户当时的全局阈值转换为规则
+      const users = alert.users.map((entry) => Array.isArray(entry)
+        ? entry
+        : [entry, createAlertRule({ direction: 'above', targetUsd: userPushPrefs.get(entry)?.mcUsdThreshold || null })])
+      marketCapAlerts.set(addr, {
+        symbol: alert.symbol || '',
+        lastPushed: alert.lastPushed,
+        users: new Map(users.filter(([, rule]) => rule.targetUsd || rule.movePct)),
+        tracking: { ...createTracking(), ...alert.tracking }
+      })
+    }
+    for (const [id, rules] of (await storage.get('snipeRules')) || []) snipeRules.set(id, rules)
+    for (const [id, list] of (await storage.get('positions')) || []) {
+      positions.set(id, new Map(list.map((pos) => [pos.token, pos])))
+    }
+    for (const [id, list] of (await storage.get('watchedWallets')) || []) watchedWallets.set(id, list)
+    for (const id of (await storage.get('bannedUsers')) || []) bannedUsers.add(id)
+    for (const [id, ref] of (await storage.get('referrals')) || []) referrals.set(id, ref)
+    for (const [id, earnings] of (await storage.get('referralEarnings')) || []) referralEarnings.set(id, earnings)
+    Object.assign(settings, await storage.get('settings'))
+    Object.assign(botStats, await storage.get('stats'))
+    for (const [id, ts] of (await storage.get('lastSeen')) || []) lastSeen.set(id, ts)
+    for (const deploy of (await storage.get('deployHistory')) || []) {
+      deployHistory.push(deploy)
+      deployIndex.set(deploy.addr, deploy)
+    }
+    for (const [deployer, tokens] of (await storage.get('deployerTokens')) || []) deployerTokens.set(deployer, tokens)
+    digestEvents.push(...((await storage.get('digestEvents')) || []))
+    for (const key of (await storage.get('sentKeys')) || []) sentKeys.add(key)
+    for (const [key, messageId] of (await storage.get('pushMessages')) || []) pushMessages.set(key, messageId)
+    lastProcessed = (await storage.get('lastProcessed')) || 0
+    // 旧版本未保存起始区块：以已知最早的部署为准
+    indexedFrom = (await storage.get('indexedFrom')) ?? (deployHistory.length ? Math.min(...deployHistory.map((d) => d.blockNumber)) : null)
+    console.log(`已加载状态: ${subscribedUsers.size} 个订阅用户, ${marketCapAlerts.size} 个提醒代币, 游标区块 ${lastProcessed || '无'}`)
+  }
+
+  function saveState() {
+    storage.set('subscribedUsers', [...subscribedUsers])
+    storage.set('userPushPrefs', [...userPushPrefs])
+    storage.set('marketCapAlerts', [...marketCapAlerts].map(([addr, alert]) => [addr, { symbol: alert.symbol, lastPushed: alert.lastPushed, users: [...alert.users], tracking: alert.tracking }]))
+    storage.set('snipeRules', [...snipeRules])
+    storage.set('positions', [...positions].map(([id, book]) => [id, [...book.values()]]))
+    storage.set('watchedWallets', [...watchedWallets].filter(([, list]) => list.length))
+    storage.set('bannedUsers', [...bannedUsers])
+    storage.set('referrals', [...referrals])
+    storage.set('referralEarnings', [...referralEarnings])
+    storage.set('settings', settings)
+  }
+
+  function saveCursor() {
+    storage.set('deployHistory', deployHistory)
+    storage.set('deployerTokens', [...deployerTokens])
+    storage.set('digestEvents', digestEvents)
+    storage.set('sentKeys', [...sentKeys])
+    storage.set('pushMessages', [...pushMessages])
+    storage.set('stats', botStats)
+    storage.set('lastSeen', [...lastSeen])
+    storage.set('lastProcessed', lastProcessed)
+    storage.set('indexedFrom', indexedFrom)
+  }
+
+  // 部署者在该代币之前发过的代币
+  function previousTokensOf(deploy) {
+    if (!deploy.deployer) return []
+    const tokens = deployerTokens.get(deploy.deployer.toLowerCase()) || []
+    const i = tokens.indexOf(deploy.addr)
+    return i === -1 ? tokens : tokens.slice(0, i)
+  }
+
+  // 重组：移除祖先区块之后的部署记录，重扫时会按新链重新记录
+  function dropDeploysAfter(block) {
+    const dropped = deployHistory.filter((d) => d.blockNumber > block)
+    if (!dropped.length) return
+    deployHistory.splice(0, deployHistory.length, ...deployHistory.filter((d) => d.blockNumber <= block))
+    for (const d of dropped) {
+      deployIndex.delete(d.addr)
+      const key = d.deployer?.toLowerCase()
+      const tokens = key && deployerTokens.get(key)
+      if (tokens) deployerTokens.set(key, tokens.filter((t) => t !== d.addr))
+    }
+    saveCursor()
+  }
+
+  // 记录新部署，返回该部署者此前的代币列表（deployerPrevious 为其数量）
+  function recordDeploy(deploy) {
+    if (deploy.deployer) {
+      const key = deploy.deployer.toLowerCase()
+      const tokens = deployerTokens.get(key) || []
+      if (!tokens.includes(deploy.addr)) deployerTokens.set(key, [...tokens, deploy.addr])
+    }
+    const previous = previousTokensOf(deploy)
+    deploy.deployerPrevious = deploy.deployer ? previous.length : null
+    if (!deployIndex.has(deploy.addr)) {
+      deployHistory.push(deploy)
+      deployIndex.set(deploy.addr, deploy)
+      while (deployHistory.length > MAX_DEPLOY_HISTORY) deployIndex.delete(deployHistory.shift().addr)
+    }
+    return previous
+  }
+
+  function formatRisk(risk, lang) {
+    const icon = risk.level === 'high' ? '🔴' : risk.level === 'medium' ? '🟠' : '🟢'
+    const flags = risk.flags.map((f) => (f.startsWith('fn:') ? `${f.slice(3)}()` : t(lang, `risk.flags.${f}`)))
+    let text = `${icon} <b>${risk.score}/100</b>${flags.length ? ` (${flags.join(', ')})` : ''}`
+    // 索引未覆盖工厂的全部历史时注明统计起点，0 也显示，避免老部署者看起来像新人
+    const partial = indexedFrom === null || indexedFrom > Number(FACTORY_START_BLOCK)
+    if (risk.previous || (partial && risk.previous !== null)) {
+      text += `\n${partial
+        ? t(lang, 'risk.previousSince', { count: risk.previous, block: indexedFrom ?? lastProcessed })
+        : t(lang, 'risk.previous', { count: risk.previous })}`
+      if (risk.checked) text += t(lang, 'risk.outcomes', risk)
+    }
+    return text
+  }
+
+  // sentKeys 有上限，按插入顺序淘汰最旧的记录
+  function markSent(key) {
+    sentKeys.add(key)
+    while (sentKeys.size > MAX_SENT_KEYS) sentKeys.delete(sentKeys.values().next().value)
+  }
+
+  // 记录部署推送消息，供后续动态引用
+  function rememberPush(chatId, tokenAddr, messageId) {
+    pushMessages.set(`${chatId}:${tokenAddr}`, messageId)
+    while (pushMessages.size > MAX_PUSH_MESSAGES) pushMessages.delete(pushMessages.keys().next().value)
+    saveCursor()
+  }
+
+  // 代币后续动态：回复原部署推送（找不到原消息时直接发送）
+  function sendFollowUp(chatId, tokenAddr, text) {
+    if (settings.maintenance) return Promise.resolve(null)
+    const messageId = pushMessages.get(`${chatId}:${tokenAddr}`)
+    const extra = { parse_mode: 'HTML', disable_web_page_preview: true }
+    if (messageId) extra.reply_parameters = { message_id: messageId, allow_sending_without_reply: true }
+    return outbox.send(chatId, text, extra).then((msg) => {
+      if (msg) botStats.followUps++
+      return msg
+    })
+  }
+
+  // 新增：市值检查函数
+  async function checkMarketCapAlerts() {
+    const now = Date.now()
+    if (now - lastMcCheck < MC_CHECK_INTERVAL) return
+    lastMcCheck = now
+
+    console.log('🔍 检查市值提醒...')
+    prices.clearCache()
+    // 维护模式暂停提醒推送（规则保持原状，恢复后再触发）；止盈止损照常执行
+    if (settings.maintenance) return checkPositionExits()
+
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      try {
+        const mc = await prices.getMarketCap(tokenAddr)
+        if (!mc) {
+          console.log(`未找到 ${tokenAddr} 的池子`)
+          continue
+        }
+        if (!alertData.symbol) {
+          alertData.symbol = await new ethers.Contract(tokenAddr, ERC20_ABI, provider).symbol().catch(() => '')
+        }
+        updateTracking(tokenAddr, alertData, mc)
+        if (mc.mcUsd === null) {
+          console.log(`无法获取 OKB/USD 价格，跳过 ${tokenAddr}`)
+          continue
+        }
+        const marketCapUSD = mc.mcUsd
+
+        console.log(`代币 ${tokenAddr} 当前市值: $${marketCapUSD.toFixed(2)}`)
+
+        // 检查每个用户的规则
+        for (const [userId, rule] of alertData.users) {
+          try {
+            if (!getPrefs(userId).notify.alerts) continue
+            const base = rule.baseMcUsd
+            if (!evaluateAlert(rule, marketCapUSD, now)) continue
+            alertData.lastPushed = now
+            botStats.alertsFired++
+            recordDigestEvent({ kind: 'alert', chatId: userId, token: tokenAddr, symbol: alertData.symbol, mcUsd: marketCapUSD, at: now })
+            saveState()
+
+            // 发送市值提醒
+            const lang = getPrefs(userId).lang
+            outbox.send(userId, formatAlertMessage(tokenAddr, alertData.symbol, rule, marketCapUSD, base, lang), { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+            console.log(`市值提醒已加入发送队列 ${userId}: ${alertData.symbol} 市值 $${marketCapUSD.toFixed(2)}`)
+          } catch (e) {
+            console.log(`发送市值提醒给用户 ${userId} 失败:`, e.message)
+          }
+        }
+
+      } catch (e) {
+        console.log(`检查代币 ${tokenAddr} 市值失败:`, e.message)
+      }
+    }
+
+    pruneMarketCapAlerts(now)
+
+    // 同一周期内检查止盈止损与摘要（共用价格缓存）
+    await checkPositionExits()
+    await sendDigests(now)
+  }
+
+  // 清理不再需要跟踪的代币：一次性规则都已触发（过了保留期）或已被清空，或池子长期没有变化（死盘、撤池）
+  function pruneMarketCapAlerts(now) {
+    const retentionMs = Number(ALERT_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+    const idleMs = Number(TOKEN_IDLE_DAYS) * 24 * 60 * 60 * 1000
+    let changed = false
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      for (const [chatId, rule] of alertData.users) {
+        if (!isSpent(rule, now, retentionMs)) continue
+        alertData.users.delete(chatId)
+        changed = true
+      }
+      if (alertData.users.size > 0 && !isIdle(alertData.tracking, now, idleMs)) continue
+      marketCapAlerts.delete(tokenAddr)
+      changed = true
+      console.log(`代币 ${tokenAddr} 已停止跟踪（${alertData.users.size ? '池子长期无变化' : '提醒均已完成'}）`)
+    }
+    if (changed) saveState()
+  }
+
+  // 监听器订阅 Transfer 日志的代币：只取最近加入的 MAX_WATCHED_TOKENS 个，避免 getLogs 地址列表无限增长；
+  // 其余代币仍由 checkMarketCapAlerts 按周期轮询储备（市值提醒、里程碑照常），只是没有逐笔成交动态
+  function watchedTokens() {
+    const tokens = [...marketCapAlerts.keys()]
+    return tokens.length > Number(MAX_WATCHED_TOKENS) ? tokens.slice(-Number(MAX_WATCHED_TOKENS)) : tokens
+  }
+
+  // 联合曲线进度里程碑与上线 DEX（随市值检查周期更新）
+  function updateTracking(tokenAddr, alertData, mc) {
+    const tracking = alertData.tracking
+    const wasCurve = tracking.pool?.type === 'curve'
+    notePoolReserve(tracking, mc.pool.reserveWokb)
+    tracking.pool = { type: mc.pool.type, address: mc.pool.address }
+    let event = null
+    if (mc.pool.type === 'dex') {
+      if (!tracking.graduated) {
+        tracking.graduated = true
+        if (wasCurve) {
+          event = { kind: 'graduation' }
+          recordDigestEvent({ kind: 'graduation', token: tokenAddr, symbol: alertData.symbol, mcUsd: mc.mcUsd, at: Date.now() })
+        }
+      }
+    } else {
+      const progress = curveProgress(mc.pool.reserveToken, mc.totalSupply, Number(CURVE_GRADUATION_PCT))
+      const milestone = reachedMilestone(progress, tracking.milestone)
+      if (milestone) {
+        tracking.milestone = milestone
+        event = { kind: 'milestone', milestone, progress }
+      }
+    }
+    saveState()
+    if (!event) return
+
+    const title = `${escapeHtml(alertData.symbol || '?')} <code>${tokenAddr}</code>`
+    for (const chatId of alertData.users.keys()) {
+      const prefs = getPrefs(chatId)
+      if (!prefs.notify[event.kind === 'graduation' ? 'graduation' : 'milestones']) continue
+      const text = event.kind === 'graduation'
+        ? t(prefs.lang, 'activity.graduated', { title, pool: mc.pool.address, mc: formatMarketCap(mc) })
+        : t(prefs.lang, 'activity.milestone', { title, milestone: event.milestone, progress: event.progress.toFixed(1), mc: formatMarketCap(mc) })
+      sendFollowUp(chatId, tokenAddr, text)
+    }
+  }
+
+  function describeAlertRule(rule, lang) {
+    const cond = rule.direction === 'move'
+      ? t(lang, 'alerts.rule.move', { pct: rule.movePct })
+      : `${rule.direction === 'above' ? '≥' : '≤'} ${formatUsd(rule.targetUsd)}`
+    const mode = rule.mode === 'rearm' ? t(lang, 'alerts.rule.rearm', { min: rule.cooldownMin }) : t(lang, 'alerts.rule.once')
+    return `${cond} (${mode})`
+  }
+
+  function formatAlertMessage(tokenAddr, symbol, rule, mcUsd, base, lang) {
+    const lines = [
+      t(lang, 'alerts.message.title'),
+      '',
+      t(lang, 'alerts.message.token', { symbol: symbol ? escapeHtml(symbol) : t(lang, 'common.unknown') }),
+      t(lang, 'alerts.message.contract', { addr: tokenAddr }),
+      t(lang, 'alerts.message.current', { mc: `$${mcUsd.toFixed(2)}` })
+    ]
+    if (rule.direction === 'move') {
+      const change = ((mcUsd - base) / base) * 100
+      lines.push(t(lang, 'alerts.message.change', { change: `${change >= 0 ? '+' : ''}${change.toFixed(1)}`, base: formatUsd(base) }))
+    }
+    lines.push(t(lang, 'alerts.message.rule', { rule: describeAlertRule(rule, lang) }))
+    lines.push('', rule.mode === 'rearm'
+      ? t(lang, 'alerts.message.rearmHint', { min: rule.cooldownMin })
+      : t(lang, 'alerts.message.onceHint'))
+    return lines.join('\n')
+  }
+
+  // 新增：添加代币到市值提醒列表（未指定规则时使用用户的默认阈值；已有规则时不覆盖）
+  function addToMarketCapAlerts(tokenAddr, userId, rule = null, symbol = '') {
+    if (!marketCapAlerts.has(tokenAddr)) {
+      marketCapAlerts.set(tokenAddr, { symbol, lastPushed: Date.now(), users: new Map(), tracking: createTracking() })
+    }
+    const alertData = marketCapAlerts.get(tokenAddr)
+    if (symbol && !alertData.symbol) alertData.symbol = symbol
+    if (!rule) {
+      if (alertData.users.has(userId)) return
+      const threshold = getPrefs(userId).mcUsdThreshold
+      if (!threshold) return
+      rule = createAlertRule({ direction: 'above', targetUsd: threshold })
+    }
+    alertData.users.set(userId, rule)
+    saveState()
+    console.log(`用户 ${userId} 已订阅代币 ${tokenAddr} 的市值提醒`)
+  }
+
+  // 新增：移除代币的市值提醒
+  // 用户屏蔽机器人或机器人被移出群组：取消订阅并清理其提醒
+  function removeChat(chatId) {
+    subscribedUsers.delete(chatId)
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      alertData.users.delete(chatId)
+      if (alertData.users.size === 0) marketCapAlerts.delete(tokenAddr)
+    }
+    saveState()
+    console.log(`会话 ${chatId} 已屏蔽机器人，已取消订阅`)
+  }
+
+  function removeFromMarketCapAlerts(tokenAddr, userId) {
+    if (marketCapAlerts.has(tokenAddr)) {
+      const alertData = marketCapAlerts.get(tokenAddr)
+      alertData.users.delete(userId)
+      if (alertData.users.size === 0) {
+        marketCapAlerts.delete(tokenAddr)
+        console.log(`代币 ${tokenAddr} 的市值提醒已完全移除`)
+      }
+      saveState()
+    }
+  }
+
+  // 新增：代币分析
+  function parseAddress(text) {
+    const raw = String(text || '').trim()
+    if (!ethers.isAddress(raw)) return null
+    return ethers.getAddress(raw.toLowerCase())
+  }
+
+  function sharePct(part, total) {
+    if (!total || total <= 0n) return 0
+    return Number((part * 10000n) / total) / 100
+  }
+
+  // 本地索引覆盖的起始区块，此后的部署都在 deployIndex 中（历史被截断时以最早保留的记录为准）
+  function indexCoverageStart() {
+    if (deployHistory.length >= MAX_DEPLOY_HISTORY) return deployHistory[0].blockNumber
+    return indexedFrom
+  }
+
+  // 查找 PUMPU_FACTORY 的原始 Deployed 事件（addr 为 indexed 参数），优先使用本地历史；
+  // 索引之外只往前查 ANALYZE_SCAN_BLOCKS 个区块，返回 { deploy, searchedFrom }
+  async function findDeployEvent(addr) {
+    const known = deployIndex.get(addr)
+    if (known) return { deploy: { blockNumber: known.blockNumber, txHash: known.txHash, devBuy: BigInt(known.devBuyWei) }, searchedFrom: null }
+    const to = indexCoverageStart() ?? await rpc.call((p) => p.getBlockNumber())
+    const from = Math.max(Number(FACTORY_START_BLOCK), to - Number(ANALYZE_SCAN_BLOCKS))
+    const searchedFrom = from > Number(FACTORY_START_BLOCK) ? from : null
+    const filter = { address: PUMPU_FACTORY, topics: [DEPLOYED_TOPIC, ethers.zeroPadValue(addr, 32)] }
+    const logs = await getLogsChunked(rpc, filter, from, to, { chunkSize: Number(LOGS_CHUNK_SIZE) })
+    if (logs.length === 0) return { deploy: null, searchedFrom }
+    const log = logs[0]
+    const parsed = PUMPU_IFACE.parseLog(log)
+    return { deploy: { blockNumber: log.blockNumber, txHash: log.transactionHash, devBuy: parsed.args?.[1] || 0n }, searchedFrom }
+  }
+
+  // 通过 Transfer 事件重建持仓，计算集中度（代币合约自身持仓视为曲线/池子，单独统计）
+  // 部署早于 ANALYZE_SCAN_BLOCKS 个区块时不统计（返回 null）
+  async function getHolderStats(addr, fromBlock, totalSupply) {
+    const latest = await rpc.call((p) => p.getBlockNumber())
+    if (latest - fromBlock > Number(ANALYZE_SCAN_BLOCKS)) return null
+    const logs = await getLogsChunked(rpc, { address: addr, topics: [TRANSFER_TOPIC] }, fromBlock, latest, {
+      chunkSize: Number(LOGS_CHUNK_SIZE)
+    })
+    const balances = new Map()
+    for (const log of logs) {
+      const [from, to, value] = ERC20_IFACE.parseLog(log).args
+      if (from !== ethers.ZeroAddress) balances.set(from, (balances.get(from) || 0n) - value)
+      if (to !== ethers.ZeroAddress) balances.set(to, (balances.get(to) || 0n) + value)
+    }
+    const contractBalance = balances.get(addr) || 0n
+    const holders = [...balances]
+      .filter(([holder, bal]) => bal > 0n && holder !== addr)
+      .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+    const top10 = holders.slice(0, 10).reduce((sum, [, bal]) => sum + bal, 0n)
+    return {
+      holderCount: holders.length,
+      top1: holders[0] ? { addr: holders[0][0], pct: sharePct(holders[0][1], totalSupply) } : null,
+      top10Pct: sharePct(top10, totalSupply),
+      contractPct: sharePct(contractBalance, totalSupply)
+    }
+  }
+
+  async function analyzeToken(addr) {
+    const erc20 = new ethers.Contract(addr, ERC20_ABI, provider)
+    const meta = new ethers.Contract(addr, PUMPTOKEN_META_ABI, provider)
+    const code = await provider.getCode(addr)
+    if (!code || code === '0x') return { addr, isContract: false }
+
+    const [name, symbol, decimals, totalSupply, description, website, telegram, twitter, market] = await Promise.all([
+      erc20.name().catch(() => ''),
+      erc20.symbol().catch(() => ''),
+      erc20.decimals().catch(() => 18n),
+      erc20.totalSupply().catch(() => 0n),
+      meta.description().catch(() => ''),
+      meta.website().catch(() => ''),
+      meta.telegram().catch(() => ''),
+      meta.twitter().catch(() => ''),
+      prices.getMarketCap(addr).catch(() => null)
+    ])
+
+    let deploy = null
+    let deploySearchedFrom = null
+    try {
+      ({ deploy, searchedFrom: deploySearchedFrom } = await findDeployEvent(addr))
+    } catch (e) {
+      console.log(`查询 ${addr} Deployed 事件失败:`, e.message)
+    }
+
+    let holders = null
+    if (deploy) {
+      try {
+        holders = await getHolderStats(addr, deploy.blockNumber, totalSupply)
+      } catch (e) {
+        console.log(`统计 ${addr} 持仓失败:`, e.message)
+      }
+    }
+
+    return {
+      addr,
+      isContract: true,
+      name,
+      symbol,
+      decimals: Number(decimals),
+      totalSupply,
+      meta: { description, website, telegram, twitter },
+      deploy,
+      deploySearchedFrom,
+      holders,
+      market
+    }
+  }
+
+  function formatAnalysis(r, lang) {
+    const toText = (v) => (v && String(v).trim().length > 0 ? String(v) : t(lang, 'common.none'))
+    if (!r.isContract) return t(lang, 'analyze.notContract', { addr: r.addr })
+    const supply = Number(ethers.formatUnits(r.totalSupply, r.decimals)).toLocaleString('en-US')
+    const lines = [
+      t(lang, 'analyze.title'),
+      t(lang, 'analyze.contract', { addr: r.addr }),
+      t(lang, 'analyze.name', { name: escapeHtml(toText(r.name)), symbol: escapeHtml(toText(r.symbol)) }),
+      t(lang, 'analyze.decimals', { decimals: r.decimals }),
+      t(lang, 'analyze.supply', { supply }),
+      '',
+      t(lang, 'analyze.description', { value: escapeHtml(toText(r.meta.description)) }),
+      t(lang, 'analyze.website', { value: escapeHtml(toText(r.meta.website)) }),
+      `TG: ${escapeHtml(toText(r.meta.telegram))}`,
+      `Twitter: ${escapeHtml(toText(r.meta.twitter))}`,
+      ''
+    ]
+    if (r.deploy) {
+      lines.push(
+        t(lang, 'analyze.deployBlock', { block: r.deploy.blockNumber }),
+        t(lang, 'analyze.deployTx', { tx: r.deploy.txHash }),
+        t(lang, 'analyze.devBuy', { okb: ethers.formatEther(r.deploy.devBuy) })
+      )
+    } else {
+      lines.push(r.deploySearchedFrom === null
+        ? t(lang, 'analyze.noDeploy')
+        : t(lang, 'analyze.noDeploySince', { block: r.deploySearchedFrom }))
+    }
+    lines.push('')
+    if (r.holders) {
+      const h = r.holders
+      lines.push(
+        t(lang, 'analyze.holders', { count: h.holderCount }),
+        t(lang, 'analyze.top10', { pct: h.top10Pct }),
+        h.top1 ? t(lang, 'analyze.top1', { addr: h.top1.addr, pct: h.top1.pct }) : null,
+        t(lang, 'analyze.contractHeld', { pct: h.contractPct })
+      )
+    } else {
+      lines.push(t(lang, 'analyze.holdersUnavailable'))
+    }
+    lines.push('')
+    if (r.market) {
+      const m = r.market
+      lines.push(
+        t(lang, 'analyze.pool', { type: t(lang, `common.pool.${m.pool.type}`), addr: m.pool.address }),
+        t(lang, 'analyze.reserve', { okb: Number(ethers.formatEther(m.pool.reserveWokb)).toFixed(4) }),
+        t(lang, 'analyze.price', { price: `${m.priceWokb.toPrecision(4)} OKB${m.priceUsd !== null ? ` ($${m.priceUsd.toPrecision(4)})` : ''}` }),
+        t(lang, 'analyze.mc', { mc: formatMarketCap(m) })
+      )
+    } else {
+      lines.push(t(lang, 'analyze.noPool'))
+    }
+    return lines.filter((l) => l !== null).join('\n')
+  }
+
+  async function replyAnalysis(ctx, text) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const addr = parseAddress(text)
+    if (!addr) {
+      await ctx.reply(t(lang, 'analyze.invalid'))
+      return false
+    }
+    await ctx.reply(t(lang, 'analyze.running'))
+    // 分析可能要查几十段日志，不在 webhook 更新内等待，否则超时后 Telegram 会重发同一更新
+    analyzeToken(addr)
+      .then((report) => ctx.reply(formatAnalysis(report, lang), { parse_mode: 'HTML', disable_web_page_preview: true }))
+      .catch((e) => ctx.reply(t(lang, 'analyze.failed', { error: e.message || e })))
+      .catch((e) => console.log(`发送 ${addr} 分析结果失败:`, e.message || e))
+    return true
+  }
+
+  // 新增：force_reply 提示路由（按提示消息 id 记录期待的输入类型）
+  const pendingReplies = new Map() // `${chatId}:${messageId}` -> { kind, userId, ...data }
+  const MAX_PENDING_REPLIES = 1000
+
+  async function askForReply(ctx, text, kind, data = {}) {
+    const msg = await ctx.reply(text, { reply_markup: { force_reply: true } })
+    pendingReplies.set(`${msg.chat.id}:${msg.message_id}`, { ...data, kind, userId: ctx.from?.id ?? null })
+    if (pendingReplies.size > MAX_PENDING_REPLIES) {
+      pendingReplies.delete(pendingReplies.keys().next().value)
+    }
+    return msg
+  }
+
+  // 新增：交易（共享钱包，仅白名单用户可用，下单前需确认）
+  const pendingTrades = new Map() // tradeId -> { userId, quote, createdAt }
+  const TRADE_CONFIRM_TTL = 60 * 1000
+  let tradeSeq = 0
+
+  function canTrade(userId) {
+    return tradeAllowlist.has(userId)
+  }
+
+  function formatAmount(value, decimals) {
+    return Number(ethers.formatUnits(value, decimals)).toLocaleString('en-US', { maximumFractionDigits: 6 })
+  }
+
+  function formatTradeQuote(quote, lang) {
+    const q = { ...quote, symbol: escapeHtml(quote.symbol) }
+    const venue = t(lang, `common.pool.${q.pool.type}`)
+    const slippage = `${Number(TRADE_SLIPPAGE_BPS) / 100}%`
+    if (q.side === 'buy') {
+      return [
+        t(lang, 'trade.quote.buyTitle'),
+        t(lang, 'trade.quote.token', q),
+        t(lang, 'trade.quote.pay', { amount: formatAmount(q.amountIn, 18) }),
+        t(lang, 'trade.quote.expected', { amount: `${formatAmount(q.expectedOut, q.decimals)} ${q.symbol}` }),
+        t(lang, 'trade.quote.minimum', { amount: `${formatAmount(q.minOut, q.decimals)} ${q.symbol}`, slippage }),
+        t(lang, 'trade.quote.route', { venue })
+      ].join('\n')
+    }
+    return [
+      t(lang, 'trade.quote.sellTitle'),
+      t(lang, 'trade.quote.token', q),
+      t(lang, 'trade.quote.sell', { amount: formatAmount(q.amountIn, q.decimals), symbol: q.symbol }),
+      t(lang, 'trade.quote.expected', { amount: `${formatAmount(q.expectedOut, 18)} OKB` }),
+      t(lang, 'trade.quote.minimum', { amount: `${formatAmount(q.minOut, 18)} OKB`, slippage }),
+      t(lang, 'trade.quote.route', { venue })
+    ].join('\n')
+  }
+
+  function formatTradeResult(quote, result, lang) {
+    const q = { ...quote, symbol: escapeHtml(quote.symbol) }
+    const filled = q.side === 'buy'
+      ? `${formatAmount(result.okbIn, 18)} OKB → ${formatAmount(result.tokensOut, q.decimals)} ${q.symbol}`
+      : `${formatAmount(result.tokensIn, q.decimals)} ${q.symbol} → ${formatAmount(result.okbOut, 18)} OKB`
+    return [
+      t(lang, 'trade.filledTitle'),
+      t(lang, 'trade.filled', { filled }),
+      `Tx: <code>${result.txHash}</code>`
+    ].join('\n')
+  }
+
+  // side: 'buy' 时 amount 为 OKB 数量，'sell' 时为该用户持仓（而非整个共享钱包）的百分比
+  async function proposeTrade(ctx, side, tokenText, amountText) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!canTrade(userId)) {
+      return ctx.reply(t(lang, 'trade.notAllowed'))
+    }
+    const addr = parseAddress(tokenText)
+    const amount = Number(amountText)
+    const validAmount = side === 'buy' ? Number.isFinite(amount) && amount > 0 : Number.isFinite(amount) && amount > 0 && amount <= 100
+    if (!addr || !validAmount) {
+      return ctx.reply(t(lang, side === 'buy' ? 'trade.usageBuy' : 'trade.usageSell'))
+    }
+    const pos = side === 'sell' ? positions.get(userId)?.get(addr) : null
+    if (side === 'sell' && !pos) {
+      return ctx.reply(t(lang, 'trade.noPosition'))
+    }
+    let quote
+    try {
+      quote = side === 'buy'
+        ? await trader.quoteBuy(addr, ethers.parseEther(String(amount)))
+        : await trader.quoteSell(addr, amount, (BigInt(pos.amount) * BigInt(Math.round(amount * 100))) / 10000n)
+    } catch (e) {
+      return ctx.reply(t(lang, 'trade.quoteFailed', { error: e.shortMessage || e.message || e }))
+    }
+    const id = String(++tradeSeq)
+    pendingTrades.set(id, { userId, quote, createdAt: Date.now() })
+    return ctx.reply(formatTradeQuote(quote, lang), {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [
+        [ { text: t(lang, 'common.confirm'), callback_data: `tr_ok_${id}` }, { text: t(lang, 'common.cancel'), callback_data: `tr_no_${id}` } ]
+      ] }
+    })
+  }
+
+  async function executeTrade(ctx, id) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    const pending = pendingTrades.get(id)
+    pendingTrades.delete(id)
+    if (!pending || pending.userId !== userId || !canTrade(userId)) {
+      await ctx.answerCbQuery(t(lang, 'trade.orderNotFound'))
+      return
+    }
+    if (Date.now() - pending.createdAt > TRADE_CONFIRM_TTL) {
+      await ctx.answerCbQuery(t(lang, 'trade.quoteExpired'))
+      return
+    }
+    await ctx.answerCbQuery(t(lang, 'trade.submitted'))
+    const q = pending.quote
+    try {
+      const result = q.side === 'buy' ? await trader.buy(q) : await trader.sell(q)
+      console.log(`用户 ${userId} ${q.side} ${q.token} 成功: ${result.txHash}`)
+      if (q.side === 'buy') recordBuy(userId, q, result)
+      else recordSell(userId, q, result)
+      return ctx.reply(formatTradeResult(q, result, lang), { parse_mode: 'HTML' })
+    } catch (e) {
+      console.log(`用户 ${userId} ${q.side} ${q.token} 失败:`, e.message)
+      return ctx.reply(t(lang, 'trade.failed', { error: e.shortMessage || e.message || e }))
+    }
+  }
+
+  // 新增：持仓记账与止盈止损
+  function getPositionBook(userId) {
+    if (!positions.has(userId)) positions.set(userId, new Map())
+    return positions.get(userId)
+  }
+
+  // 被邀请人通过机器人钱包成交时，为邀请人记录手续费分成
+  function creditReferrer(userId, okbWei) {
+    const referrer = referrals.get(userId)?.referrer
+    if (!referrer || !okbWei) return
+    if (!referralEarnings.has(referrer)) referralEarnings.set(referrer, createReferralEarnings())
+    accrueReferral(referralEarnings.get(referrer), okbWei, Number(TRADE_FEE_BPS), Number(REFERRAL_SHARE_PCT))
+  }
+
+  function recordBuy(userId, quote, result) {
+    const book = getPositionBook(userId)
+    if (!book.has(quote.token)) book.set(quote.token, createPosition({ token: quote.token, symbol: quote.symbol, decimals: quote.decimals }))
+    addToPosition(book.get(quote.token), result.tokensOut || quote.expectedOut, result.okbIn)
+    creditReferrer(userId, result.okbIn)
+    saveState()
+  }
+
+  // 返回本次已实现盈亏（wei），没有持仓记录时返回 null
+  function recordSell(userId, quote, result) {
+    const book = positions.get(userId)
+    const pos = book?.get(quote.token)
+    if (!pos) return null
+    const realized = reducePosition(pos, result.tokensIn || quote.amountIn, result.okbOut)
+    if (BigInt(pos.amount) === 0n) book.delete(quote.token)
+    creditReferrer(userId, result.okbOut)
+    saveState()
+    return realized
+  }
+
+  // 当前持仓价值（OKB）与 OKB/USD 汇率
+  async function valuePosition(pos) {
+    const mc = await prices.getMarketCap(pos.token)
+    if (!mc) return null
+    const amount = Number(BigInt(pos.amount)) / 10 ** pos.decimals
+    return { valueOkb: amount * mc.priceWokb, priceOkb: mc.priceWokb, okbUsd: mc.okbUsd }
+  }
+
+  function formatOkb(wei) {
+    const v = Number(wei) / 1e18
+    return `${v >= 0 ? '+' : ''}${v.toFixed(4)} OKB`
+  }
+
+  async function checkPositionExits() {
+    for (const [userId, book] of positions) {
+      for (const pos of [...book.values()]) {
+        const key = `${userId}:${pos.token}`
+        if (exitingPositions.has(key) || (pos.takeProfitX === null && pos.stopLossX === null)) continue
+        try {
+          const value = await valuePosition(pos)
+          const trigger = value && checkExit(pos, value.valueOkb)
+          if (!trigger) continue
+          exitingPositions.add(key)
+          const costWei = BigInt(pos.costWei)
+          const quote = await trader.quoteSell(pos.token, 100, BigInt(pos.amount))
+          const result = await trader.sell(quote)
+          const realized = recordSell(userId, quote, result)
+          const pct = costWei > 0n ? (Number(realized) / Number(costWei)) * 100 : 0
+          const lang = getPrefs(userId).lang
+          const text = [
+            t(lang, trigger === 'tp' ? 'positions.tpHit' : 'positions.slHit'),
+            t(lang, 'positions.token', { ...pos, symbol: escapeHtml(pos.symbol) }),
+            t(lang, 'positions.sold', { sold: `${formatAmount(result.tokensIn || quote.amountIn, pos.decimals)} ${escapeHtml(pos.symbol)} → ${formatAmount(result.okbOut, 18)} OKB` }),
+            t(lang, 'positions.realizedPnl', { pnl: formatOkb(realized), pct: `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}` }),
+            `Tx: <code>${result.txHash}</code>`
+          ].join('\n')
+          console.log(`用户 ${userId} 持仓 ${pos.token} ${trigger} 平仓: ${result.txHash}`)
+          outbox.send(userId, text, { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+        } catch (e) {
+          console.log(`用户 ${userId} 持仓 ${pos.token} 平仓失败:`, e.message)
+        } finally {
+          exitingPositions.delete(key)
+        }
+      }
+    }
+  }
+
+  // 新增：持仓界面
+  async function showPositions(ctx) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!canTrade(userId)) return ctx.reply(t(lang, 'trade.notAllowed'))
+    const book = getPositionBook(userId)
+    if (book.size === 0) return ctx.reply(t(lang, 'positions.empty'))
+    const lines = [t(lang, 'positions.title'), '']
+    const buttons = []
+    let i = 0
+    for (const pos of book.values()) {
+      i++
+      const cost = Number(BigInt(pos.costWei)) / 1e18
+      const value = await valuePosition(pos).catch(() => null)
+      const pnl = value ? value.valueOkb - cost : null
+      const pnlText = pnl === null
+        ? t(lang, 'positions.noPrice')
+        : `${pnl >= 0 ? '+' : ''}${pnl.toFixed(4)} OKB (${cost > 0 ? `${pnl >= 0 ? '+' : ''}${((pnl / cost) * 100).toFixed(1)}%` : '-'})${value.okbUsd !== null ? ` ≈ $${(pnl * value.okbUsd).toFixed(2)}` : ''}`
+      lines.push(
+        `${i}. <b>${escapeHtml(pos.symbol)}</b> <code>${pos.token}</code>`,
+        t(lang, 'positions.amountCost', { amount: formatAmount(BigInt(pos.amount), pos.decimals), cost: cost.toFixed(4) }),
+        t(lang, 'positions.entryNow', { entry: entryPrice(pos).toPrecision(4), now: value ? value.priceOkb.toPrecision(4) : '-' }),
+        `   PnL: ${pnlText}`,
+        `   TP: ${formatExitLevel(pos.takeProfitX) || '-'}  SL: ${formatExitLevel(pos.stopLossX) || '-'}`
+      )
+      buttons.push({ text: `${i}. ${pos.symbol}`, callback_data: `ps_v_${pos.token}` })
+    }
+    const rows = []
+    for (let j = 0; j < buttons.length; j += 3) rows.push(buttons.slice(j, j + 3))
+    return ctx.reply(lines.join('\n'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } })
+  }
+
+  async function showPosition(ctx, pos) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const text = [
+      `<b>${escapeHtml(pos.symbol)}</b> <code>${pos.token}</code>`,
+      t(lang, 'positions.takeProfit', { value: formatExitLevel(pos.takeProfitX) || t(lang, 'common.notSet') }),
+      t(lang, 'positions.stopLoss', { value: formatExitLevel(pos.stopLossX) || t(lang, 'common.notSet') }),
+      t(lang, 'positions.realized', { pnl: formatOkb(BigInt(pos.realizedWei)) })
+    ].join('\n')
+    return ctx.reply(text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [
+        [ { text: t(lang, 'positions.setTp'), callback_data: `ps_tp_${pos.token}` }, { text: t(lang, 'positions.setSl'), callback_data: `ps_sl_${pos.token}` } ],
+        [ { text: t(lang, 'positions.clear'), callback_data: `ps_clr_${pos.token}` }, { text: t(lang, 'trade.sellAll'), callback_data: `qs_${pos.token}` } ],
+        [ { text: t(lang, 'common.back'), callback_data: 'ps_list' } ]
+      ] }
+    })
+  }
+
+  async function handlePositionCallback(ctx, data) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (data === 'ps_list') {
+      await ctx.answerCbQuery()
+      return showPositions(ctx)
+    }
+    const m = data.match(/^ps_(v|tp|sl|clr)_(0x[0-9a-fA-F]{40})$/)
+    const pos = m && positions.get(userId)?.get(m[2])
+    if (!pos || !canTrade(userId)) {
+      await ctx.answerCbQuery(t(lang, 'positions.notFound'))
+      return
+    }
+    if (m[1] === 'tp' || m[1] === 'sl') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(lang, m[1] === 'tp' ? 'positions.promptTp' : 'positions.promptSl'), 'position_exit', { token: pos.token, exitKind: m[1] })
+    }
+    if (m[1] === 'clr') {
+      pos.takeProfitX = null
+      pos.stopLossX = null
+      saveState()
+      await ctx.answerCbQuery('OK')
+    } else {
+      await ctx.answerCbQuery()
+    }
+    return showPosition(ctx, pos)
+  }
+
+  async function handlePositionExitReply(ctx, pending) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const pos = positions.get(ctx.from.id)?.get(pending.token)
+    if (!pos) return true
+    const x = parseExitLevel(ctx.text, pending.exitKind)
+    if (x === null) {
+      await ctx.reply(t(lang, 'common.invalidReply'))
+      return false
+    }
+    if (pending.exitKind === 'tp') pos.takeProfitX = x
+    else pos.stopLossX = x
+    saveState()
+    await showPosition(ctx, pos)
+    return true
+  }
+
+  // 新增：自动狙击执行（每个用户每个新代币最多触发一条规则）
+  async function runSnipes(deploy) {
+    for (const [userId, rules] of snipeRules) {
+      if (!canTrade(userId)) continue
+      // 依次尝试匹配的规则：已达上限的跳过，由下一条仍有额度的规则买入
+      let rule = null
+      for (const r of rules) {
+        if (!r.enabled || !matchesSnipeRule(r, deploy)) continue
+        const capHit = checkSpendCaps(r, r.amountOkb)
+        if (!capHit) {
+          rule = r
+          break
+        }
+        console.log(`狙击规则 #${r.id}（用户 ${userId}）已达上限 ${capHit}，跳过 ${deploy.addr}`)
+      }
+      if (!rule) continue
+      const lang = getPrefs(userId).lang
+      const title = `${escapeHtml(deploy.symbol || '?')} <code>${deploy.addr}</code>`
+      if (rule.dryRun) {
+        outbox.send(userId, t(lang, 'snipe.dryRun', { id: rule.id, title, amount: rule.amountOkb }), { parse_mode: 'HTML' })
+        continue
+      }
+      recordSpend(rule, rule.amountOkb)
+      saveState()
+      try {
+        const quote = await trader.quoteBuy(deploy.addr, ethers.parseEther(String(rule.amountOkb)))
+        const result = await trader.buy(quote)
+        recordBuy(userId, quote, result)
+        console.log(`狙击规则 #${rule.id}（用户 ${userId}）买入 ${deploy.addr}: ${result.txHash}`)
+        const header = t(lang, 'snipe.header', { id: rule.id })
+        outbox.send(userId, `${header}\n${formatTradeResult(quote, result, lang)}`, { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+      } catch (e) {
+        recordSpend(rule, -rule.amountOkb)
+        saveState()
+        console.log(`狙击规则 #${rule.id}（用户 ${userId}）买入 ${deploy.addr} 失败:`, e.message)
+        const text = t(lang, 'snipe.failed', { id: rule.id, title, error: escapeHtml(e.shortMessage || e.message || e) })
+        outbox.send(userId, text, { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+      }
+    }
+  }
+
+  function getSnipeRules(userId) {
+    if (!snipeRules.has(userId)) snipeRules.set(userId, [])
+    return snipeRules.get(userId)
+  }
+
+  function findSnipeRule(userId, id) {
+    return getSnipeRules(userId).find((r) => r.id === Number(id))
+  }
+
+  function formatSnipeRule(rule, lang) {
+    const any = t(lang, 'common.any')
+    const list = (items) => (items.length ? items.join(', ') : t(lang, 'common.none'))
+    return [
+      t(lang, 'snipe.rule.title', {
+        id: rule.id,
+        state: t(lang, rule.enabled ? 'snipe.rule.enabled' : 'snipe.rule.disabled'),
+        dryRun: rule.dryRun ? t(lang, 'snipe.rule.dryRunTag') : ''
+      }),
+      t(lang, 'snipe.rule.amount', { amount: rule.amountOkb }),
+      t(lang, 'snipe.rule.devRange', { range: `${rule.devBuyMin ?? any} ~ ${rule.devBuyMax ?? any} OKB` }),
+      t(lang, 'snipe.rule.requireMedia', { value: t(lang, rule.requireMedia ? 'common.on' : 'common.off') }),
+      t(lang, 'snipe.rule.include', { value: list(rule.include) }),
+      t(lang, 'snipe.rule.exclude', { value: list(rule.exclude) }),
+      t(lang, 'snipe.rule.ruleCap', { spent: rule.spentOkb.toFixed(4), cap: rule.ruleCapOkb }),
+      t(lang, 'snipe.rule.dailyCap', { spent: spentToday(rule).toFixed(4), cap: rule.dailyCapOkb })
+    ].join('\n')
+  }
+
+  // 新增：自动狙击规则管理界面
+  async function showSnipeRules(ctx) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!canTrade(userId)) return ctx.reply(t(lang, 'trade.notAllowed'))
+    const rules = getSnipeRules(userId)
+    const header = t(lang, 'snipe.intro')
+    const body = rules.length
+      ? rules.map((r) => formatSnipeRule(r, lang)).join('\n\n')
+      : t(lang, 'snipe.empty')
+    const buttons = []
+    if (rules.length) buttons.push(rules.map((r) => ({ text: `#${r.id}`, callback_data: `sn_v_${r.id}` })))
+    if (rules.length < MAX_SNIPE_RULES) buttons.push([ { text: t(lang, 'snipe.buttons.add'), callback_data: 'sn_add' } ])
+    buttons.push([ { text: t(lang, 'common.back'), callback_data: 'm_back' } ])
+    return ctx.reply(`${header}\n\n${body}`, { reply_markup: { inline_keyboard: buttons } })
+  }
+
+  async function showSnipeRule(ctx, rule) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const id = rule.id
+    const button = (key, field) => ({ text: t(lang, `snipe.buttons.${key}`), callback_data: `sn_${field}_${id}` })
+    return ctx.reply(formatSnipeRule(rule, lang), {
+      reply_markup: { inline_keyboard: [
+        [ button(rule.enabled ? 'disable' : 'enable', 'en'), button(rule.dryRun ? 'goLive' : 'dryRun', 'dry') ],
+        [ button('amount', 'set_amount'), button('dev', 'set_dev') ],
+        [ button('include', 'set_include'), button('exclude', 'set_exclude') ],
+        [ button('rulecap', 'set_rulecap'), button('dailycap', 'set_dailycap') ],
+        [ button(rule.requireMedia ? 'mediaOff' : 'mediaOn', 'media') ],
+        [ { text: t(lang, 'common.delete'), callback_data: `sn_del_${id}` }, { text: t(lang, 'common.back'), callback_data: 'm_snipe' } ]
+      ] }
+    })
+  }
+
+  // 可通过回复修改的规则字段，提示文案见 snipe.prompts.*
+  const SNIPE_FIELDS = ['amount', 'dev', 'include', 'exclude', 'rulecap', 'dailycap']
+
+  // 解析规则字段输入，成功返回 true
+  function applySnipeField(rule, field, text) {
+    const raw = String(text || '').trim()
+    if (field === 'include' || field === 'exclude') {
+      rule[field] = parseKeywords(raw)
+      return true
+    }
+    if (field === 'dev') {
+      const range = parseRange(raw)
+      if (!range) return false
+      rule.devBuyMin = range.min
+      rule.devBuyMax = range.max
+      return true
+    }
+    const n = Number(raw)
+    if (!Number.isFinite(n) || n <= 0) return false
+    if (field === 'amount') rule.amountOkb = n
+    if (field === 'rulecap') rule.ruleCapOkb = n
+    if (field === 'dailycap') rule.dailyCapOkb = n
+    return true
+  }
+
+  async function handleSnipeFieldReply(ctx, pending) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const rule = findSnipeRule(ctx.from.id, pending.ruleId)
+    if (!rule) return true
+    if (!applySnipeField(rule, pending.field, ctx.text)) {
+      await ctx.reply(t(lang, 'common.invalidReply'))
+      return false
+    }
+    saveState()
+    await showSnipeRule(ctx, rule)
+    return true
+  }
+
+  async function handleSnipeCallback(ctx, data) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!canTrade(userId)) {
+      await ctx.answerCbQuery(t(lang, 'trade.notAllowedShort'))
+      return
+    }
+    if (data === 'sn_add') {
+      const rules = getSnipeRules(userId)
+      if (rules.length >= MAX_SNIPE_RULES) return ctx.answerCbQuery()
+      const rule = createSnipeRule(rules.reduce((max, r) => Math.max(max, r.id), 0) + 1)
+      rules.push(rule)
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showSnipeRule(ctx, rule)
+    }
+    const m = data.match(/^sn_(v|en|dry|media|del|set_(\w+?))_(\d+)$/)
+    const rule = m && findSnipeRule(userId, m[3])
+    if (!rule) {
+      await ctx.answerCbQuery()
+      return showSnipeRules(ctx)
+    }
+    const action = m[1]
+    if (action.startsWith('set_')) {
+      await ctx.answerCbQuery()
+      if (!SNIPE_FIELDS.includes(m[2])) return
+      return askForReply(ctx, t(lang, `snipe.prompts.${m[2]}`), 'snipe_field', { ruleId: rule.id, field: m[2] })
+    }
+    if (action === 'del') {
+      snipeRules.set(userId, getSnipeRules(userId).filter((r) => r.id !== rule.id))
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showSnipeRules(ctx)
+    }
+    if (action === 'en') rule.enabled = !rule.enabled
+    if (action === 'dry') rule.dryRun = !rule.dryRun
+    if (action === 'media') rule.requireMedia = !rule.requireMedia
+    if (action !== 'v') saveState()
+    await ctx.answerCbQuery(action === 'v' ? undefined : 'OK')
+    return showSnipeRule(ctx, rule)
+  }
+
+  // 新增：钱包跟踪（/watch）——被跟踪钱包部署或买卖 PumpToken 时通知，可选跟单
+  function getWatchedWallets(chatId) {
+    if (!watchedWallets.has(chatId)) watchedWallets.set(chatId, [])
+    return watchedWallets.get(chatId)
+  }
+
+  function findWatchedWallet(chatId, address) {
+    return getWatchedWallets(chatId).find((w) => w.address.toLowerCase() === address.toLowerCase())
+  }
+
+  // 跟踪该地址的所有会话：[[chatId, entry]]
+  function watchersOf(address) {
+    const key = address.toLowerCase()
+    const found = []
+    for (const [chatId, list] of watchedWallets) {
+      for (const entry of list) if (entry.address.toLowerCase() === key) found.push([chatId, entry])
+    }
+    return found
+  }
+
+  function allWatchedAddresses() {
+    return [...new Set([...watchedWallets.values()].flat().map((w) => w.address.toLowerCase()))]
+  }
+
+  // 判断是否为 PumpToken：本地记录优先，否则检查合约是否带有 PumpToken 元数据接口
+  async function isPumpToken(addr) {
+    if (deployIndex.has(addr) || marketCapAlerts.has(addr)) return true
+    if (pumpTokenCache.has(addr)) return pumpTokenCache.get(addr)
+    const ok = await new ethers.Contract(addr, PUMPTOKEN_META_ABI, provider).description().then(() => true, () => false)
+    pumpTokenCache.set(addr, ok)
+    while (pumpTokenCache.size > MAX_PUMP_TOKEN_CACHE) pumpTokenCache.delete(pumpTokenCache.keys().next().value)
+    return ok
+  }
+
+  async function notifyWalletDeploy(deploy, mc, risk) {
+    if (!deploy.deployer || settings.maintenance) return
+    for (const [chatId, entry] of watchersOf(deploy.deployer)) {
+      const lang = getPrefs(chatId).lang
+      const header = t(lang, 'wallets.deployed', { name: walletName(entry) })
+      outbox.send(chatId, `${header}\n\n${formatDeployMessage(deploy, { mc, risk }, lang)}`, deployMessageExtra(deploy.addr, chatId, lang), { priority: PRIORITY.alert })
+    }
+  }
+
+  async function handleWalletTransfer(log) {
+    const { from, to, value } = ERC20_IFACE.parseLog(log).args
+    if (settings.maintenance || (!watchersOf(from).length && !watchersOf(to).length)) return
+    const tokenAddr = ethers.getAddress(log.address)
+    if (!(await isPumpToken(tokenAddr))) return
+    const mc = await prices.getMarketCap(tokenAddr).catch(() => null)
+    if (!mc) return
+    const trade = classifyTransfer(from, to, mc.pool.address)
+    const watchers = trade ? watchersOf(trade.trader) : []
+    if (!watchers.length) return
+
+    const symbol = deployIndex.get(tokenAddr)?.symbol || marketCapAlerts.get(tokenAddr)?.symbol ||
+      await new ethers.Contract(tokenAddr, ERC20_ABI, provider).symbol().catch(() => '')
+    const tokens = Number(ethers.formatUnits(value, mc.decimals))
+    const okb = tokens * mc.priceWokb
+    for (const [chatId, entry] of watchers) {
+      const lang = getPrefs(chatId).lang
+      const action = t(lang, trade.side === 'buy' ? 'wallets.bought' : 'wallets.sold')
+      const text = [
+        `👀 <b>${walletName(entry)}</b> ${action}`,
+        t(lang, 'wallets.trade.token', { symbol: escapeHtml(symbol || '?'), token: tokenAddr }),
+        t(lang, 'wallets.trade.amount', { amount: tokens.toLocaleString('en-US', { maximumFractionDigits: 2 }), okb: okb.toFixed(4) }),
+        t(lang, 'wallets.trade.mc', { mc: formatMarketCap(mc) || '-' }),
+        `Tx: <code>${log.transactionHash}</code>`
+      ].join('\n')
+      outbox.send(chatId, text, deployMessageExtra(tokenAddr, chatId, lang), { priority: PRIORITY.alert })
+      if (trade.side === 'buy' && entry.copyTrade) copyTrade(chatId, entry, tokenAddr, okb, log).catch((e) => console.log('跟单失败:', e.message))
+    }
+  }
+
+  // 跟单：按对方买入金额跟买，不超过该钱包设置的上限
+  async function copyTrade(userId, entry, tokenAddr, okb, log) {
+    if (!canTrade(userId)) return
+    const key = `copy:${log.transactionHash}:${userId}`
+    if (sentKeys.has(key)) return
+    markSent(key)
+    const size = Math.min(okb, entry.copyMaxOkb)
+    if (!(size > 0)) return
+    const lang = getPrefs(userId).lang
+    const header = t(lang, 'wallets.copyHeader', { name: walletName(entry) })
+    try {
+      const quote = await trader.quoteBuy(tokenAddr, ethers.parseEther(size.toFixed(6)))
+      const result = await trader.buy(quote)
+      recordBuy(userId, quote, result)
+      console.log(`用户 ${userId} 跟单 ${entry.address} 买入 ${tokenAddr}: ${result.txHash}`)
+      outbox.send(userId, `${header}\n${formatTradeResult(quote, result, lang)}`, { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+    } catch (e) {
+      console.log(`用户 ${userId} 跟单 ${tokenAddr} 失败:`, e.message)
+      outbox.send(userId, `${header}\n❌ ${escapeHtml(e.shortMessage || e.message || e)}`, { parse_mode: 'HTML' }, { priority: PRIORITY.alert })
+    }
+  }
+
+  async function showWatchedWallets(ctx) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const list = getWatchedWallets(chatKey(ctx))
+    const header = t(lang, 'wallets.header')
+    const body = list.length
+      ? list.map((w) => `• ${walletName(w)} <code>${w.address}</code>${w.copyTrade ? t(lang, 'wallets.copyTag', { cap: w.copyMaxOkb }) : ''}`).join('\n')
+      : t(lang, 'wallets.empty')
+    const buttons = list.map((w) => [ { text: walletName(w), callback_data: `wl_v_${w.address}` } ])
+    if (list.length < MAX_WATCHED_WALLETS) buttons.push([ { text: t(lang, 'wallets.buttons.add'), callback_data: 'wl_add' } ])
+    buttons.push([ { text: t(lang, 'common.back'), callback_data: 'm_back' } ])
+    return ctx.reply(`${header}\n\n${body}`, { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } })
+  }
+
+  async function showWatchedWallet(ctx, entry) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const canCopy = ctx.chat?.type === 'private' && canTrade(ctx.from.id)
+    const lines = [
+      `👀 <b>${walletName(entry)}</b>`,
+      `<code>${entry.address}</code>`,
+      t(lang, 'wallets.copyStatus', { state: t(lang, entry.copyTrade ? 'common.on' : 'common.off'), cap: entry.copyMaxOkb })
+    ]
+    const buttons = []
+    if (canCopy) {
+      buttons.push([
+        { text: t(lang, entry.copyTrade ? 'wallets.buttons.copyOff' : 'wallets.buttons.copyOn'), callback_data: `wl_cp_${entry.address}` },
+        { text: t(lang, 'wallets.buttons.cap'), callback_data: `wl_cap_${entry.address}` }
+      ])
+    }
+    buttons.push([ { text: t(lang, 'wallets.buttons.remove'), callback_data: `wl_del_${entry.address}` }, { text: t(lang, 'common.back'), callback_data: 'm_wallets' } ])
+    return ctx.reply(lines.join('\n'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } })
+  }
+
+  // 添加钱包；返回错误提示或 null
+  function addWatchedWallet(chatId, addrText, label, lang) {
+    const address = parseAddress(addrText)
+    if (!address) return t(lang, 'wallets.invalidAddress')
+    const list = getWatchedWallets(chatId)
+    const existing = findWatchedWallet(chatId, address)
+    if (existing) {
+      existing.label = cleanLabel(label) || existing.label
+    } else {
+      if (list.length >= MAX_WATCHED_WALLETS) return t(lang, 'wallets.limit', { max: MAX_WATCHED_WALLETS })
+      list.push(createWatchedWallet(address, label, Number(QUICK_BUY_OKB)))
+    }
+    saveState()
+    return null
+  }
+
+  async function handleWatchAddReply(ctx) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const [addrText, ...label] = (ctx.text || '').trim().split(/\s+/)
+    const error = addWatchedWallet(chatKey(ctx), addrText, label.join(' '), lang)
+    if (error) {
+      await ctx.reply(error)
+      return false
+    }
+    await showWatchedWallets(ctx)
+    return true
+  }
+
+  async function handleCopyCapReply(ctx, pending) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const entry = findWatchedWallet(chatKey(ctx), pending.address)
+    if (!entry) return true
+    const n = Number((ctx.text || '').trim())
+    if (!Number.isFinite(n) || n <= 0) {
+      await ctx.reply(t(lang, 'common.positiveNumber'))
+      return false
+    }
+    entry.copyMaxOkb = n
+    saveState()
+    await showWatchedWallet(ctx, entry)
+    return true
+  }
+
+  async function handleWalletCallback(ctx, data) {
+    const chatId = chatKey(ctx)
+    const lang = getPrefs(chatId).lang
+    if (data === 'wl_add') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(lang, 'wallets.promptAdd'), 'watch_add')
+    }
+    const m = data.match(/^wl_(v|cp|cap|del)_(0x[0-9a-fA-F]{40})$/)
+    const entry = m && findWatchedWallet(chatId, m[2])
+    if (!entry) {
+      await ctx.answerCbQuery()
+      return showWatchedWallets(ctx)
+    }
+    const action = m[1]
+    if (action === 'del') {
+      watchedWallets.set(chatId, getWatchedWallets(chatId).filter((w) => w !== entry))
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showWatchedWallets(ctx)
+    }
+    if ((action === 'cp' || action === 'cap') && !(ctx.chat?.type === 'private' && canTrade(ctx.from.id))) {
+      return ctx.answerCbQuery(t(lang, 'trade.notAllowedShort'))
+    }
+    if (action === 'cap') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(lang, 'wallets.promptCap'), 'copy_cap', { address: entry.address })
+    }
+    if (action === 'cp') {
+      entry.copyTrade = !entry.copyTrade
+      saveState()
+    }
+    await ctx.answerCbQuery(action === 'v' ? undefined : 'OK')
+    return showWatchedWallet(ctx, entry)
+  }
+
+  // UI helpers
+  function securityHeader(lang) {
+    return settings.securityHeader[lang] || t(lang, 'menu.securityHeader')
+  }
+
+  function showMenu(ctx) {
+    const { lang } = getPrefs(chatKey(ctx))
+    const isPrivate = !ctx.chat || ctx.chat.type === 'private'
+    const invite = isPrivate ? inviteLink(ctx.from.id) : ''
+    const text = [securityHeader(lang), invite && t(lang, 'menu.invite', { link: invite }), '', t(lang, 'menu.title')].filter(Boolean).join('\n')
+    const button = (key, data) => ({ text: t(lang, `menu.${key}`), callback_data: data })
+    return ctx.reply(text, {
+      reply_markup: {
+        inline_keyboard: [
+          [ button('analyze', 'm_analyze') ],
+          [ button('language', 'm_lang') ],
+          isPrivate && canTrade(ctx.from.id)
+            ? [ button('filters', 'm_filters'), button('snipe', 'm_snipe') ]
+            : [ button('filters', 'm_filters') ],
+          [ button('wallets', 'm_wallets'), button('notify', 'm_notify') ],
+          isPrivate
+            ? [ button('referrals', 'm_ref'), button('status', 'm_status') ]
+            : [ button('status', 'm_status') ]
+        ]
+      }
+    })
+  }
+
+  // 新增：通知类型设置
+  const NOTIFY_TYPES = ['deploys', 'alerts', 'devSells', 'milestones', 'graduation']
+
+  async function showNotifySettings(ctx) {
+    const prefs = getPrefs(chatKey(ctx))
+    const { lang } = prefs
+    const subscribed = subscribedUsers.has(chatKey(ctx))
+    const label = (key) => `${prefs.notify[key] ? '✅' : '⬜'} ${t(lang, `notify.types.${key}`)}`
+    const lines = [
+      t(lang, 'notify.title'),
+      '',
+      t(lang, 'notify.subscription', { state: t(lang, subscribed ? 'notify.subscribed' : 'notify.unsubscribed') }),
+      ...NOTIFY_TYPES.map(label),
+      t(lang, 'notify.largeTrades', { value: prefs.largeTradeOkb ? `≥ ${prefs.largeTradeOkb} OKB` : t(lang, 'notify.off') }),
+      t(lang, 'notify.digest', { value: t(lang, `digest.modes.${prefs.digest}`) }),
+      prefs.digest === 'off' ? null : t(lang, 'notify.digestHint'),
+      '',
+      t(lang, 'notify.footer')
+    ]
+    return ctx.reply(lines.filter((l) => l !== null).join('\n'), {
+      reply_markup: { inline_keyboard: [
+        ...NOTIFY_TYPES.map((key) => [ { text: label(key), callback_data: `nt_${key}` } ]),
+        [ { text: t(lang, 'notify.buttons.digest', { value: t(lang, `digest.modes.${prefs.digest}`) }), callback_data: 'nt_digest' } ],
+        [
+          { text: t(lang, 'notify.buttons.setTrade'), callback_data: 'nt_trade_set' },
+          ...(prefs.largeTradeOkb ? [ { text: t(lang, 'notify.buttons.clearTrade'), callback_data: 'nt_trade_clear' } ] : [])
+        ],
+        [ { text: t(lang, 'common.back'), callback_data: 'm_back' } ]
+      ] }
+    })
+  }
+
+  // 新增：推送过滤设置界面
+  async function showPushFilters(ctx) {
+    const prefs = getPrefs(chatKey(ctx))
+    const lang = prefs.lang
+
+    // 新增：显示当前市值提醒数量
+    let alertCount = 0
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      if (alertData.users.has(chatKey(ctx))) {
+        alertCount++
+      }
+    }
+    const alertText = t(lang, 'filters.alertCount', { count: alertCount })
+
+    const none = t(lang, 'common.notSet')
+    const any = t(lang, 'common.any')
+    const list = (items) => (items.length ? items.join(', ') : none)
+    const addrList = (items) => (items.length ? items.map((a) => `${a.slice(0, 6)}…${a.slice(-4)}`).join(', ') : none)
+    const mediaText = t(lang, prefs.requireMediaLink ? 'filters.mediaOn' : 'filters.mediaOff')
+    const devText = prefs.devBuyMin === null && prefs.devBuyMax === null ? none : `${prefs.devBuyMin ?? any} ~ ${prefs.devBuyMax ?? any} OKB`
+    const prevText = prefs.maxDeployerTokens === null ? none : `≤ ${prefs.maxDeployerTokens}`
+    const riskText = prefs.maxRiskScore === null ? none : `≤ ${prefs.maxRiskScore}`
+    const mcText = prefs.mcUsdThreshold ? `$${prefs.mcUsdThreshold}` : none
+
+    // 预览：最近 N 个部署中有多少会通过当前过滤
+    const sample = deployHistory.slice(-FILTER_PREVIEW_SIZE)
+    const passed = sample.filter((d) => passesFilters(prefs, d)).length
+    const previewText = sample.length
+      ? t(lang, 'filters.preview', { passed, total: sample.length })
+      : t(lang, 'filters.previewEmpty')
+
+    const title = t(lang, 'filters.title')
+    const body = [
+      t(lang, 'filters.media', { value: mediaText }),
+      t(lang, 'filters.dev', { value: devText }),
+      t(lang, 'filters.include', { value: list(prefs.includeKeywords) }),
+      t(lang, 'filters.exclude', { value: list(prefs.excludeKeywords) }),
+      t(lang, 'filters.allow', { value: addrList(prefs.deployerAllow) }),
+      t(lang, 'filters.block', { value: addrList(prefs.deployerBlock) }),
+      t(lang, 'filters.prev', { value: prevText }),
+      t(lang, 'filters.risk', { value: riskText }),
+      t(lang, 'filters.mc', { value: mcText }),
+      alertText,
+      '',
+      previewText
+    ].join('\n')
+
+    const button = (key, data) => ({ text: t(lang, `filters.buttons.${key}`), callback_data: data })
+    return ctx.reply(`${title}\n${body}`, {
+      reply_markup: { inline_keyboard: [
+        [ button(prefs.requireMediaLink ? 'mediaOff' : 'mediaOn', 'pf_media') ],
+        [ button('dev', 'pf_set_dev'), button('dprev', 'pf_set_dprev') ],
+        [ button('include', 'pf_set_include'), button('exclude', 'pf_set_exclude') ],
+        [ button('dallow', 'pf_set_dallow'), button('dblock', 'pf_set_dblock') ],
+        [ button('risk', 'pf_set_risk') ],
+        [ button('mcSet', 'pf_mc_set'), button('mcClear', 'pf_mc_clear') ],
+        [ button('alerts', 'pf_manage_alerts') ],
+        [ button('reset', 'pf_reset'), { text: t(lang, 'common.back'), callback_data: 'm_back' } ]
+      ] }
+    })
+  }
+
+  // 可通过回复修改的过滤字段，提示文案见 filters.prompts.*
+  const PUSH_FILTER_FIELDS = ['dev', 'include', 'exclude', 'dallow', 'dblock', 'dprev', 'risk']
+
+  // 解析过滤字段输入，成功返回 true
+  function applyPushFilterField(prefs, field, text) {
+    const raw = String(text || '').trim()
+    if (field === 'dev') {
+      const range = parseRange(raw)
+      if (!range) return false
+      prefs.devBuyMin = range.min
+      prefs.devBuyMax = range.max
+      return true
+    }
+    if (field === 'include') prefs.includeKeywords = parseKeywords(raw)
+    if (field === 'exclude') prefs.excludeKeywords = parseKeywords(raw)
+    if (field === 'dallow' || field === 'dblock') {
+      const items = parseKeywords(raw)
+      const addrs = items.map(parseAddress)
+      if (addrs.some((a) => !a)) return false
+      prefs[field === 'dallow' ? 'deployerAllow' : 'deployerBlock'] = addrs
+    }
+    if (field === 'dprev' || field === 'risk') {
+      const key = field === 'dprev' ? 'maxDeployerTokens' : 'maxRiskScore'
+      if (raw === '-') {
+        prefs[key] = null
+        return true
+      }
+      const n = Number(raw)
+      if (!Number.isInteger(n) || n < 0 || (field === 'risk' && n > 100)) return false
+      prefs[key] = n
+    }
+    return true
+  }
+
+  async function handlePushFilterReply(ctx, pending) {
+    const prefs = getPrefs(chatKey(ctx))
+    if (!applyPushFilterField(prefs, pending.field, ctx.text)) {
+      await ctx.reply(t(prefs.lang, 'common.invalidReply'))
+      return false
+    }
+    saveState()
+    await showPushFilters(ctx)
+    return true
+  }
+
+  // 新增：市值提醒管理界面
+  async function showMarketCapAlerts(ctx) {
+    const userId = chatKey(ctx)
+    const lang = getPrefs(userId).lang
+
+    // 获取用户的提醒规则
+    const userAlerts = []
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      const rule = alertData.users.get(userId)
+      if (rule) userAlerts.push({ addr: tokenAddr, symbol: alertData.symbol, rule })
+    }
+
+    if (userAlerts.length === 0) {
+      return ctx.reply(t(lang, 'alerts.manage.empty'), {
+        reply_markup: { inline_keyboard: [
+          [ { text: t(lang, 'common.back'), callback_data: 'pf_back' } ]
+        ] }
+      })
+    }
+
+    let text = `${t(lang, 'alerts.manage.header', { count: userAlerts.length })}\n\n`
+
+    // 最多显示10个代币，避免消息过长
+    const displayAlerts = userAlerts.slice(0, 10)
+    for (let i = 0; i < displayAlerts.length; i++) {
+      const alert = displayAlerts[i]
+      const status = alert.rule.armed ? '' : t(lang, 'alerts.manage.fired')
+      text += `${i + 1}. <b>${escapeHtml(alert.symbol || alert.addr.slice(0, 8))}</b> ${describeAlertRule(alert.rule, lang)}${status}\n`
+    }
+
+    if (userAlerts.length > 10) {
+      text += `\n${t(lang, 'alerts.manage.more', { count: userAlerts.length - 10 })}`
+    }
+
+    text += `\n\n${t(lang, 'alerts.manage.footer')}`
+
+    const buttons = []
+
+    // 编辑按钮（每行5个）
+    const editButtons = displayAlerts.map((alert, i) => ({ text: `${i + 1}`, callback_data: `al_v_${alert.addr}` }))
+    for (let i = 0; i < editButtons.length; i += 5) {
+      buttons.push(editButtons.slice(i, i + 5))
+    }
+
+    // 添加其他按钮
+    buttons.push([
+      { text: t(lang, 'alerts.manage.clearAll'), callback_data: 'clear_all_alerts' },
+      { text: t(lang, 'common.back'), callback_data: 'pf_back' }
+    ])
+
+    return ctx.reply(text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: buttons }
+    })
+  }
+
+  // 新增：单个提醒编辑界面
+  async function showAlertRule(ctx, tokenAddr) {
+    const userId = chatKey(ctx)
+    const lang = getPrefs(userId).lang
+    const alertData = marketCapAlerts.get(tokenAddr)
+    const rule = alertData?.users.get(userId)
+    if (!rule) return showMarketCapAlerts(ctx)
+
+    const text = [
+      `<b>${alertData.symbol ? escapeHtml(alertData.symbol) : t(lang, 'common.unknown')}</b> <code>${tokenAddr}</code>`,
+      t(lang, 'alerts.edit.rule', { rule: describeAlertRule(rule, lang) }),
+      t(lang, 'alerts.edit.status', { state: t(lang, rule.armed ? 'alerts.edit.armed' : 'alerts.edit.fired') }),
+      t(lang, 'alerts.edit.lastFired', { when: formatAgo(rule.lastFired, lang) })
+    ].join('\n')
+
+    const button = (key, data) => ({ text: t(lang, `alerts.edit.${key}`), callback_data: `${data}${tokenAddr}` })
+    const buttons = [
+      [ button('target', 'al_set_') ]
+    ]
+    if (rule.direction !== 'move') {
+      buttons[0].push(button(rule.direction === 'above' ? 'toBelow' : 'toAbove', 'al_dir_'))
+    }
+    buttons.push([ button(rule.mode === 'once' ? 'toRearm' : 'toOnce', 'al_mode_') ])
+    if (!rule.armed) buttons[1].push(button('rearm', 'al_arm_'))
+    buttons.push([
+      button('remove', 'remove_alert_'),
+      { text: t(lang, 'common.back'), callback_data: 'pf_manage_alerts' }
+    ])
+    return ctx.reply(text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: buttons } })
+  }
+
+  async function handleAlertCallback(ctx, data) {
+    const userId = chatKey(ctx)
+    const lang = getPrefs(userId).lang
+    const m = data.match(/^al_(v|set|dir|mode|arm)_(0x[0-9a-fA-F]{40})$/)
+    const rule = m && marketCapAlerts.get(m[2])?.users.get(userId)
+    if (!rule) {
+      await ctx.answerCbQuery()
+      return showMarketCapAlerts(ctx)
+    }
+    const [, action, tokenAddr] = m
+    if (action === 'set') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(lang, 'alerts.edit.prompt'), 'alert_target', { token: tokenAddr })
+    }
+    if (action === 'dir') rule.direction = rule.direction === 'above' ? 'below' : 'above'
+    if (action === 'mode') rule.mode = rule.mode === 'once' ? 'rearm' : 'once'
+    if (action === 'arm') rule.armed = true
+    if (action !== 'v') saveState()
+    await ctx.answerCbQuery(action === 'v' ? undefined : 'OK')
+    return showAlertRule(ctx, tokenAddr)
+  }
+
+  // 目标输入：USD 金额保留 above/below 方向，百分比切换为波动提醒
+  function applyAlertTarget(rule, text, currentMcUsd = null) {
+    const pct = parsePct(text)
+    if (pct) {
+      rule.direction = 'move'
+      rule.movePct = pct
+      rule.baseMcUsd = currentMcUsd
+      rule.targetUsd = null
+    } else {
+      const usd = parseUsd(text)
+      if (!usd) return false
+      if (rule.direction === 'move') rule.direction = currentMcUsd !== null && usd < currentMcUsd ? 'below' : 'above'
+      rule.targetUsd = usd
+      rule.movePct = null
+    }
+    rule.armed = true
+    return true
+  }
+
+  // 没有 OKB/USD 汇率时规则永远不会触发，设置提醒时提示用户
+  async function noUsdPriceNote(lang) {
+    const okbUsd = await prices.getOkbUsd().catch(() => null)
+    return okbUsd === null ? `\n\n${t(lang, 'alerts.noUsdPrice')}` : ''
+  }
+
+  async function currentMcUsd(tokenAddr) {
+    const mc = await prices.getMarketCap(tokenAddr).catch(() => null)
+    return mc ? mc.mcUsd : null
+  }
+
+  async function handleAlertTargetReply(ctx, pending) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const rule = marketCapAlerts.get(pending.token)?.users.get(chatKey(ctx))
+    if (!rule) return true
+    if (!applyAlertTarget(rule, ctx.text, await currentMcUsd(pending.token))) {
+      await ctx.reply(t(lang, 'common.invalidReply'))
+      return false
+    }
+    saveState()
+    const note = await noUsdPriceNote(lang)
+    if (note) await ctx.reply(note.trim())
+    await showAlertRule(ctx, pending.token)
+    return true
+  }
+
+  // 封禁的用户/会话直接忽略；记录活跃时间
+  bot.use((ctx, next) => {
+    const userId = ctx.from?.id
+    if (!isAdmin(userId) && (bannedUsers.has(userId) || bannedUsers.has(ctx.chat?.id))) return
+    if (userId) lastSeen.set(userId, Date.now())
+    if (ctx.chat?.type === 'private' && ctx.from.language_code && !userPushPrefs.has(ctx.chat.id)) {
+      languageHints.set(ctx.chat.id, ctx.from.language_code)
+    }
+    return next()
+  })
+
+  // 新增：管理员控制台（ADMIN_IDS）
+  function isAdmin(userId) {
+    return Boolean(userId) && adminIds.has(userId)
+  }
+
+  // 管理员命令：非管理员发送时当作普通消息忽略
+  function adminCommand(name, handler) {
+    bot.command(name, (ctx, next) => (isAdmin(ctx.from?.id) ? handler(ctx) : next()))
+  }
+
+  function formatAgo(ts, lang) {
+    if (!ts) return t(lang, 'time.never')
+    const min = Math.floor((Date.now() - ts) / 60000)
+    if (min < 60) return t(lang, 'time.minutes', { n: min })
+    if (min < 1440) return t(lang, 'time.hours', { n: Math.floor(min / 60) })
+    return t(lang, 'time.days', { n: Math.floor(min / 1440) })
+  }
+
+  function activeUsers(windowMs) {
+    const since = Date.now() - windowMs
+    let n = 0
+    for (const ts of lastSeen.values()) if (ts >= since) n++
+    return n
+  }
+
+  function formatStats(lang) {
+    const q = outbox.stats
+    const groups = [...subscribedUsers].filter((id) => id < 0).length
+    const lines = [
+      t(lang, 'admin.stats.title'),
+      t(lang, 'admin.stats.since', { since: new Date(botStats.since).toISOString() }),
+      t(lang, 'admin.stats.chats', { total: subscribedUsers.size, private: subscribedUsers.size - groups, groups }),
+      t(lang, 'admin.stats.active', { day: activeUsers(86400000), week: activeUsers(7 * 86400000) }),
+      t(lang, 'admin.stats.deploys', { n: botStats.deploysSeen }),
+      t(lang, 'admin.stats.pushes', { n: botStats.pushesSent }),
+      t(lang, 'admin.stats.alerts', { n: botStats.alertsFired }),
+      t(lang, 'admin.stats.followUps', { n: botStats.followUps }),
+      t(lang, 'admin.stats.broadcasts', { n: botStats.broadcasts }),
+      t(lang, 'admin.stats.failures', q),
+      t(lang, 'admin.stats.queue', { n: outbox.depth() }),
+      t(lang, 'admin.stats.banned', { n: bannedUsers.size }),
+      t(lang, 'admin.stats.maintenance', { state: t(lang, settings.maintenance ? 'common.on' : 'common.off') })
+    ]
+    return lines.join('\n')
+  }
+
+  const USERS_PAGE_SIZE = 30
+
+  function formatUserList(page, lang) {
+    const ids = [...new Set([...subscribedUsers, ...lastSeen.keys()])]
+      .sort((a, b) => (lastSeen.get(b) || 0) - (lastSeen.get(a) || 0))
+    const pages = Math.max(1, Math.ceil(ids.length / USERS_PAGE_SIZE))
+    const current = Math.min(Math.max(1, page), pages)
+    const rows = ids.slice((current - 1) * USERS_PAGE_SIZE, current * USERS_PAGE_SIZE).map((id) => {
+      const flags = [
+        subscribedUsers.has(id) ? t(lang, 'admin.users.sub') : null,
+        bannedUsers.has(id) ? t(lang, 'admin.users.banned') : null,
+        userPushPrefs.get(id)?.lang
+      ].filter(Boolean).join(', ')
+      return `<code>${id}</code> — ${flags} — ${formatAgo(lastSeen.get(id), lang)}`
+    })
+    const header = t(lang, 'admin.users.header', { current, pages, total: ids.length })
+    return [header, '', ...(rows.length ? rows : [t(lang, 'admin.users.empty')]), '', t(lang, 'admin.users.more')].join('\n')
+  }
+
+  function setBanned(id, banned) {
+    if (banned) {
+      bannedUsers.add(id)
+      removeChat(id)
+    } else {
+      bannedUsers.delete(id)
+    }
+    saveState()
+  }
+
+  // 广播：先预览，确认后经发送队列发给所有订阅会话
+  const pendingBroadcasts = new Map() // id -> { adminId, text, createdAt }
+  const BROADCAST_CONFIRM_TTL = 5 * 60 * 1000
+  let broadcastSeq = 0
+
+  async function proposeBroadcast(ctx, text) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!text) return ctx.reply(t(lang, 'admin.broadcast.usage'))
+    const id = String(++broadcastSeq)
+    pendingBroadcasts.set(id, { adminId: ctx.from.id, text, createdAt: Date.now() })
+    await ctx.reply(t(lang, 'admin.broadcast.preview', { count: subscribedUsers.size }))
+    return ctx.reply(text, {
+      reply_markup: { inline_keyboard: [
+        [ { text: t(lang, 'admin.broadcast.send'), callback_data: `bc_ok_${id}` }, { text: t(lang, 'common.cancel'), callback_data: `bc_no_${id}` } ]
+      ] }
+    })
+  }
+
+  async function handleBroadcastCallback(ctx, data) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    if (!isAdmin(ctx.from?.id)) return ctx.answerCbQuery()
+    const id = data.slice(6)
+    const pending = pendingBroadcasts.get(id)
+    pendingBroadcasts.delete(id)
+    if (data.startsWith('bc_no_') || !pending) {
+      await ctx.answerCbQuery(t(lang, 'common.cancelled'))
+      return ctx.editMessageReplyMarkup(undefined).catch(() => {})
+    }
+    if (Date.now() - pending.createdAt > BROADCAST_CONFIRM_TTL) {
+      await ctx.answerCbQuery(t(lang, 'admin.broadcast.expired'))
+      return ctx.editMessageReplyMarkup(undefined).catch(() => {})
+    }
+    await ctx.answerCbQuery('OK')
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {})
+    const targets = [...subscribedUsers].filter((id) => !bannedUsers.has(id))
+    botStats.broadcasts++
+    console.log(`管理员 ${ctx.from.id} 广播给 ${targets.length} 个会话`)
+    // 不等待发送完成：大量订阅时会超过 webhook 超时，Telegram 重试同一更新会导致重复广播
+    const adminChat = chatKey(ctx)
+    Promise.all(targets.map((chatId) => outbox.send(chatId, pending.text, {}, { priority: PRIORITY.push })))
+      .then((results) => {
+        const delivered = results.filter(Boolean).length
+        outbox.send(adminChat, t(lang, 'admin.broadcast.done', { delivered, total: targets.length }))
+      })
+      .catch((e) => console.log('广播发送失败:', e.message || e))
+    return ctx.reply(t(lang, 'admin.broadcast.queued', { total: targets.length }))
+  }
+
+  adminCommand('admin', (ctx) => ctx.reply(t(getPrefs(chatKey(ctx)).lang, 'admin.help')))
+  adminCommand('stats', (ctx) => ctx.reply(formatStats(getPrefs(chatKey(ctx)).lang), { parse_mode: 'HTML' }))
+  adminCommand('users', (ctx) => {
+    const page = Number(ctx.text.split(/\s+/)[1]) || 1
+    return ctx.reply(formatUserList(page, getPrefs(chatKey(ctx)).lang), { parse_mode: 'HTML' })
+  })
+  adminCommand('refboard', (ctx) => {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const counts = new Map()
+    for (const { referrer } of referrals.values()) counts.set(referrer, (counts.get(referrer) || 0) + 1)
+    const rows = [...counts].sort((a, b) => b[1] - a[1]).slice(0, 20).map(([id, n], i) => {
+      const earnings = referralEarnings.get(id) || createReferralEarnings()
+      return t(lang, 'admin.refboard.row', {
+        rank: i + 1,
+        id,
+        invites: n,
+        volume: Number(ethers.formatEther(earnings.volumeWei)).toFixed(2),
+        share: Number(ethers.formatEther(earnings.feeShareWei)).toFixed(4)
+      })
+    })
+    const header = t(lang, 'admin.refboard.header', { count: referrals.size })
+    return ctx.reply([header, '', ...(rows.length ? rows : [t(lang, 'admin.refboard.empty')])].join('\n'), { parse_mode: 'HTML' })
+  })
+  adminCommand('ban', (ctx) => banCommand(ctx, true))
+  adminCommand('unban', (ctx) => banCommand(ctx, false))
+  adminCommand('broadcast', (ctx) => proposeBroadcast(ctx, ctx.text.replace(/^\/broadcast(@\w+)?\s*/, '').trim()))
+  adminCommand('maintenance', (ctx) => {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const arg = (ctx.text.split(/\s+/)[1] || '').toLowerCase()
+    if (arg === 'on' || arg === 'off') {
+      settings.maintenance = arg === 'on'
+      saveState()
+      console.log(`维护模式已${settings.maintenance ? '开启' : '关闭'}（管理员 ${ctx.from.id}）`)
+    }
+    return ctx.reply(t(lang, 'admin.maintenance.status', { state: t(lang, settings.maintenance ? 'admin.maintenance.on' : 'common.off') }))
+  })
+  adminCommand('header', (ctx) => {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const [, target = '', ...rest] = ctx.text.split(/\s+/)
+    const text = ctx.text.replace(/^\/header(@\w+)?\s+\S+\s*/, '').trim()
+    if (target.toLowerCase() === 'reset') {
+      settings.securityHeader = {}
+      saveState()
+    } else if (i18n.has(target) && rest.length) {
+      settings.securityHeader = { ...settings.securityHeader, [target]: text }
+      saveState()
+    } else {
+      return ctx.reply(t(lang, 'admin.header.usage', { langs: i18n.languages.join('|') }))
+    }
+    return ctx.reply([t(lang, 'admin.header.updated'), ...i18n.languages.map((l) => securityHeader(l))].join('\n\n'))
+  })
+
+  function banCommand(ctx, banned) {
+    const lang = getPrefs(chatKey(ctx)).lang
+    const id = Number(ctx.text.split(/\s+/)[1])
+    if (!Number.isInteger(id) || id === 0) return ctx.reply(t(lang, 'admin.ban.usage', { command: banned ? 'ban' : 'unban' }))
+    if (banned && isAdmin(id)) return ctx.reply(t(lang, 'admin.ban.admin'))
+    setBanned(id, banned)
+    console.log(`管理员 ${ctx.from.id} ${banned ? '封禁' : '解封'} ${id}`)
+    return ctx.reply(t(lang, banned ? 'admin.ban.banned' : 'admin.ban.unbanned', { id }))
+  }
+
+  // 新增：邀请
+  function inviteLink(userId) {
+    return BOT_USERNAME ? `https://t.me/${BOT_USERNAME}?start=${userId}` : ''
+  }
+
+  // /start <邀请人 id>：仅新用户首次进入时记录，拒绝自我邀请与重复记录
+  function recordReferral(ctx) {
+    const referee = ctx.from.id
+    const referrer = parseReferrer(ctx.payload)
+    if (!referrer) return
+    const reason = checkReferral({
+      referrer,
+      referee,
+      alreadyReferred: referrals.has(referee),
+      existingUser: subscribedUsers.has(referee) || userPushPrefs.has(referee),
+      referrerKnown: subscribedUsers.has(referrer) || userPushPrefs.has(referrer)
+    })
+    if (reason) {
+      console.log(`忽略邀请 ${referrer} -> ${referee}: ${reason}`)
+      return
+    }
+    referrals.set(referee, { referrer, at: Date.now() })
+    saveState()
+    console.log(`用户 ${referee} 通过 ${referrer} 的邀请加入`)
+    outbox.send(referrer, t(getPrefs(referrer).lang, 'referrals.joined', { count: inviteCount(referrer) }))
+  }
+
+  function inviteCount(referrer) {
+    let n = 0
+    for (const ref of referrals.values()) if (ref.referrer === referrer) n++
+    return n
+  }
+
+  function showReferrals(ctx) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    const earnings = referralEarnings.get(userId) || createReferralEarnings()
+    const link = inviteLink(userId)
+    const lines = [
+      t(lang, 'referrals.title'),
+      '',
+      link ? t(lang, 'referrals.link', { link }) : null,
+      t(lang, 'referrals.invited', { count: inviteCount(userId) }),
+      t(lang, 'referrals.volume', { volume: Number(ethers.formatEther(earnings.volumeWei)).toFixed(4), trades: earnings.trades }),
+      Number(TRADE_FEE_BPS) > 0
+        ? t(lang, 'referrals.share', { share: Number(ethers.formatEther(earnings.feeShareWei)).toFixed(6), pct: REFERRAL_SHARE_PCT })
+        : null
+    ]
+    return ctx.reply(lines.filter((l) => l !== null).join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true })
+  }
+
+  // Commands
+  async function handleStart(ctx) {
+    if (!(await canManageChat(ctx))) return denyNonAdmin(ctx)
+    if (ctx.chat?.type === 'private') recordReferral(ctx)
+    subscribedUsers.add(chatKey(ctx))
+    saveState()
+    await showMenu(ctx)
+  }
+
+  // 新增：取消订阅（群组/频道需管理员）
+  async function handleStop(ctx) {
+    if (!(await canManageChat(ctx))) return denyNonAdmin(ctx)
+    subscribedUsers.delete(chatKey(ctx))
+    saveState()
+    return ctx.reply(t(getPrefs(chatKey(ctx)).lang, 'subscription.stopped'))
+  }
+
+  async function handleLang(ctx) {
+    if (!(await canManageChat(ctx))) return denyNonAdmin(ctx)
+    const arg = (ctx.text.split(/\s+/)[1] || '').toLowerCase()
+    setLang(chatKey(ctx), arg)
+    return showMenu(ctx)
+  }
+
+  bot.start(handleStart)
+  bot.command('stop', handleStop)
+  bot.command('menu', (ctx) => showMenu(ctx))
+  bot.command('lang', handleLang)
+  bot.command('referrals', (ctx) => showReferrals(ctx))
+
+  // 新增：频道中的命令以 channel_post 形式到达
+  const CHANNEL_COMMANDS = { start: handleStart, stop: handleStop, menu: showMenu, lang: handleLang }
+  bot.on('channel_post', (ctx, next) => {
+    const m = (ctx.text || '').match(/^\/(\w+)(?:@\w+)?(?:\s|$)/)
+    const handler = m && CHANNEL_COMMANDS[m[1]]
+    return handler ? handler(ctx) : next()
+  })
+
+  // 新增：/analyze <addr>
+  bot.command('analyze', async (ctx) => {
+    const arg = ctx.text.split(/\s+/)[1]
+    if (!arg) {
+      const lang = getPrefs(chatKey(ctx)).lang
+      return askForReply(ctx, t(lang, 'analyze.prompt'), 'analyze')
+    }
+    return replyAnalysis(ctx, arg)
+  })
+
+  // 新增：/recent [n]
+  bot.command('recent', (ctx) => {
+    const n = Number(ctx.text.split(/\s+/)[1])
+    const size = Number.isInteger(n) && n > 0 ? Math.min(n, RECENT_MAX) : RECENT_DEFAULT
+    return showRecent(ctx, 0, size)
+  })
+
+  // 新增：/top 排行榜（与摘要内容相同）
+  bot.command('top', (ctx) => showTop(ctx, ctx.text.split(/\s+/)[1]))
+
+  // 新增：交易命令
+  bot.command('buy', (ctx) => {
+    const [, addr, amount] = ctx.text.split(/\s+/)
+    return proposeTrade(ctx, 'buy', addr, amount)
+  })
+  bot.command('sell', (ctx) => {
+    const [, addr, percent] = ctx.text.split(/\s+/)
+    return proposeTrade(ctx, 'sell', addr, percent)
+  })
+  bot.command('positions', (ctx) => showPositions(ctx))
+
+  // 新增：/watch <地址> [备注]；不带参数时显示列表
+  bot.command('watch', async (ctx) => {
+    if (!(await canManageChat(ctx))) return denyNonAdmin(ctx)
+    const [, addrText, ...label] = ctx.text.split(/\s+/)
+    if (!addrText) return showWatchedWallets(ctx)
+    const error = addWatchedWallet(chatKey(ctx), addrText, label.join(' '), getPrefs(chatKey(ctx)).lang)
+    return error ? ctx.reply(error) : showWatchedWallets(ctx)
+  })
+
+  // 新增：/alert <addr> <mc|pct%> [above|below] [once|rearm]
+  bot.command('alert', async (ctx) => {
+    if (!(await canManageChat(ctx))) return denyNonAdmin(ctx)
+    const userId = chatKey(ctx)
+    const lang = getPrefs(userId).lang
+    const [, addrArg, targetArg, ...opts] = ctx.text.split(/\s+/)
+    const addr = parseAddress(addrArg)
+    if (!addr || !targetArg) {
+      return ctx.reply(t(lang, 'alerts.usage'))
+    }
+    const options = opts.map((o) => o.toLowerCase())
+    const mcUsd = await currentMcUsd(addr)
+    const rule = createAlertRule({ mode: options.includes('rearm') ? 'rearm' : 'once' })
+    rule.direction = 'move' // 让 applyAlertTarget 按当前市值推断 above/below
+    if (!applyAlertTarget(rule, targetArg, mcUsd)) {
+      return ctx.reply(t(lang, 'alerts.invalidTarget'))
+    }
+    if (options.includes('above') && rule.direction !== 'move') rule.direction = 'above'
+    if (options.includes('below') && rule.direction !== 'move') rule.direction = 'below'
+    const symbol = await new ethers.Contract(addr, ERC20_ABI, provider).symbol().catch(() => '')
+    addToMarketCapAlerts(addr, userId, rule, symbol)
+    const current = mcUsd !== null ? `\n${t(lang, 'alerts.currentMc', { mc: formatUsd(mcUsd) })}` : ''
+    const note = await noUsdPriceNote(lang)
+    return ctx.reply(`${t(lang, 'alerts.added', { token: symbol || addr })}\n${describeAlertRule(rule, lang)}${current}${note}`)
+  })
+
+  // 新增：手动检查市值提醒状态
+  bot.command('mc_status', async (ctx) => {
+    const userId = chatKey(ctx)
+    const prefs = getPrefs(userId)
+    const lang = prefs.lang
+    try {
+
+      let alertCount = 0
+      let armedCount = 0
+      for (const [, alertData] of marketCapAlerts) {
+        const rule = alertData.users.get(userId)
+        if (rule) {
+          alertCount++
+          if (rule.armed) armedCount++
+        }
+      }
+
+      const thresholdText = prefs.mcUsdThreshold 
+        ? `$${prefs.mcUsdThreshold}`
+        : t(lang, 'common.notSet')
+
+      await ctx.reply(t(lang, 'alerts.status', { threshold: thresholdText, count: alertCount, armed: armedCount }))
+    } catch (e) {
+      await ctx.reply(t(lang, 'alerts.statusFailed', { error: e.message || e }))
+    }
+  })
+
+  // Callbacks
+  const SETTINGS_CALLBACKS = ['m_lang', 'lang_', 'm_filters', 'pf_', 'al_', 'remove_alert_', 'clear_all_alerts', 'm_notify', 'nt_', 'm_wallets', 'wl_']
+
+  bot.on('callback_query', async (ctx) => {
+    const data = ctx.callbackQuery?.data
+    if (!data) return ctx.answerCbQuery()
+    const prefs = getPrefs(chatKey(ctx))
+
+    // 群组/频道：非管理员不能打开或修改设置
+    if (SETTINGS_CALLBACKS.some((prefix) => data.startsWith(prefix)) && !(await canManageChat(ctx))) {
+      return denyNonAdmin(ctx)
+    }
+
+    if (data === 'm_notify') {
+      await ctx.answerCbQuery()
+      return showNotifySettings(ctx)
+    }
+    if (data === 'nt_trade_set') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(prefs.lang, 'notify.promptTrade'), 'large_trade')
+    }
+    if (data === 'nt_trade_clear') {
+      prefs.largeTradeOkb = null
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showNotifySettings(ctx)
+    }
+    if (data === 'nt_digest') {
+      prefs.digest = nextDigestMode(prefs.digest)
+      // 从下一个周期边界开始发送
+      prefs.digestSentAt = Date.now()
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showNotifySettings(ctx)
+    }
+    if (data.startsWith('nt_')) {
+      const key = data.slice(3)
+      if (key in prefs.notify) {
+        prefs.notify[key] = !prefs.notify[key]
+        saveState()
+      }
+      await ctx.answerCbQuery('OK')
+      return showNotifySettings(ctx)
+    }
+
+    if (data === 'm_lang') {
+      await ctx.answerCbQuery()
+      const options = i18n.languages.map((lang) => ({ text: `${lang === prefs.lang ? '✅ ' : ''}${i18n.languageName(lang)}`, callback_data: `lang_${lang}` }))
+      const rows = []
+      for (let i = 0; i < options.length; i += 3) rows.push(options.slice(i, i + 3))
+      return ctx.reply(t(prefs.lang, 'language.prompt'), {
+        reply_markup: { inline_keyboard: [
+          ...rows,
+          [ { text: t(prefs.lang, 'common.back'), callback_data: 'm_back' } ]
+        ] }
+      })
+    }
+    if (data.startsWith('lang_')) {
+      setLang(chatKey(ctx), data.slice(5))
+      await ctx.answerCbQuery('OK')
+      return showMenu(ctx)
+    }
+    if (data === 'm_filters') {
+      await ctx.answerCbQuery()
+      return showPushFilters(ctx)
+    }
+    if (data === 'pf_media') { 
+      prefs.requireMediaLink = !prefs.requireMediaLink; 
+      saveState(); 
+      await ctx.answerCbQuery('OK'); 
+      return showPushFilters(ctx) 
+    }
+    if (data.startsWith('pf_set_')) {
+      const field = data.slice(7)
+      await ctx.answerCbQuery()
+      if (!PUSH_FILTER_FIELDS.includes(field)) return
+      return askForReply(ctx, t(prefs.lang, `filters.prompts.${field}`), 'push_filter', { field })
+    }
+    if (data === 'pf_reset') {
+      Object.assign(prefs, defaultFilters())
+      saveState()
+      await ctx.answerCbQuery('OK')
+      return showPushFilters(ctx)
+    }
+    if (data === 'pf_mc_set') { 
+      await ctx.answerCbQuery(); 
+      return askForReply(ctx, t(prefs.lang, 'filters.promptMc'), 'mc_threshold') 
+    }
+    if (data === 'pf_mc_clear') { 
+      prefs.mcUsdThreshold = null; 
+      saveState(); 
+      await ctx.answerCbQuery('OK'); 
+      return showPushFilters(ctx) 
+    }
+    if (data === 'pf_manage_alerts') {
+      await ctx.answerCbQuery()
+      return showMarketCapAlerts(ctx)
+    }
+    if (data === 'pf_back') {
+      await ctx.answerCbQuery()
+      return showPushFilters(ctx)
+    }
+    if (data === 'm_back') { 
+      await ctx.answerCbQuery(); 
+      return showMenu(ctx) 
+    }
+    if (data.startsWith('al_')) {
+      return handleAlertCallback(ctx, data)
+    }
+    // 处理移除单个提醒
+    if (data.startsWith('remove_alert_')) {
+      const tokenAddr = data.replace('remove_alert_', '')
+      removeFromMarketCapAlerts(tokenAddr, chatKey(ctx))
+      await ctx.answerCbQuery(t(prefs.lang, 'alerts.removed'))
+      return showMarketCapAlerts(ctx)
+    }
+    // 处理清空所有提醒
+    if (data === 'clear_all_alerts') {
+      for (const [tokenAddr, alertData] of marketCapAlerts) {
+        alertData.users.delete(chatKey(ctx))
+        if (alertData.users.size === 0) {
+          marketCapAlerts.delete(tokenAddr)
+        }
+      }
+      saveState()
+      await ctx.answerCbQuery(t(prefs.lang, 'alerts.clearedAll'))
+      return showMarketCapAlerts(ctx)
+    }
+    // 交易：推送上的快捷买卖按钮与下单确认
+    if (data.startsWith('qb_')) {
+      await ctx.answerCbQuery()
+      return proposeTrade(ctx, 'buy', data.slice(3), QUICK_BUY_OKB)
+    }
+    if (data.startsWith('qs_')) {
+      await ctx.answerCbQuery()
+      return proposeTrade(ctx, 'sell', data.slice(3), 100)
+    }
+    if (data.startsWith('tr_ok_')) {
+      return executeTrade(ctx, data.slice(6))
+    }
+    if (data.startsWith('tr_no_')) {
+      pendingTrades.delete(data.slice(6))
+      await ctx.answerCbQuery(t(prefs.lang, 'common.cancelled'))
+      return
+    }
+    // 持仓
+    if (data.startsWith('ps_')) {
+      return handlePositionCallback(ctx, data)
+    }
+    if (data === 'm_ref') {
+      await ctx.answerCbQuery()
+      return showReferrals(ctx)
+    }
+    // 管理员广播确认
+    if (data.startsWith('bc_ok_') || data.startsWith('bc_no_')) {
+      return handleBroadcastCallback(ctx, data)
+    }
+    // 钱包跟踪
+    if (data === 'm_wallets') {
+      await ctx.answerCbQuery()
+      return showWatchedWallets(ctx)
+    }
+    if (data.startsWith('wl_')) {
+      return handleWalletCallback(ctx, data)
+    }
+    // 自动狙击规则
+    if (data === 'm_snipe') {
+      await ctx.answerCbQuery()
+      return showSnipeRules(ctx)
+    }
+    if (data.startsWith('sn_')) {
+      return handleSnipeCallback(ctx, data)
+    }
+    if (data.startsWith('rc_')) {
+      const [, offset, size] = data.split('_').map(Number)
+      await ctx.answerCbQuery()
+      return showRecent(ctx, offset || 0, Math.min(size || RECENT_DEFAULT, RECENT_MAX))
+    }
+    if (data === 'm_status') {
+      await ctx.answerCbQuery()
+      const w = watcher.stats
+      const q = outbox.stats
+      const { lang } = prefs
+      const ago = (ts) => ts ? t(lang, 'time.seconds', { n: Math.round((Date.now() - ts) / 1000) }) : t(lang, 'time.never')
+      const lines = [
+        t(lang, 'status.watcher', { mode: w.mode }),
+        t(lang, 'status.factory', { address: PUMPU_FACTORY }),
+        t(lang, 'status.head', { block: w.head }),
+        t(lang, 'status.processed', { block: lastProcessed, lag: w.lag, confirmations: watcher.confirmations }),
+        t(lang, 'status.lastScan', { when: ago(w.lastTickAt) }),
+        t(lang, 'status.rpc', { label: rpc.activeLabel, count: rpc.endpoints.length, failovers: rpc.stats.failovers }),
+        t(lang, 'status.errors', { watcher: w.errors, rpc: rpc.stats.errors, reorgs: w.reorgs }),
+        ...(w.lastError ? [t(lang, 'status.lastError', { error: w.lastError, when: ago(w.lastErrorAt) })] : []),
+        t(lang, 'status.subscribers', { count: subscribedUsers.size }),
+        t(lang, 'status.queue', { count: outbox.depth(), detail: Object.entries(outbox.depthByPriority()).map(([k, n]) => `${k} ${n}`).join(', ') }),
+        t(lang, 'status.sent', q)
+      ]
+      return ctx.reply(lines.join('\n'))
+    }
+    if (data === 'm_analyze') {
+      await ctx.answerCbQuery()
+      return askForReply(ctx, t(prefs.lang, 'analyze.prompt'), 'analyze')
+    }
+    await ctx.answerCbQuery()
+  })
+
+  // 设置市值阈值的回复
+  async function handleMcThresholdReply(ctx) {
+    const prefs = getPrefs(chatKey(ctx))
+    const n = Number((ctx.text || '').trim())
+    if (!Number.isFinite(n) || n <= 0) {
+      await ctx.reply(t(prefs.lang, 'common.positiveInteger'))
+      return false
+    }
+
+    prefs.mcUsdThreshold = Math.floor(n)
+    saveState()
+
+    // 新增：设置阈值后，自动将已推送的代币添加到提醒列表
+    let addedCount = 0
+    for (const [tokenAddr, alertData] of marketCapAlerts) {
+      if (!alertData.users.has(chatKey(ctx))) {
+        addToMarketCapAlerts(tokenAddr, chatKey(ctx), createAlertRule({ direction: 'above', targetUsd: prefs.mcUsdThreshold }))
+        addedCount++
+      }
+    }
+
+    let message = t(prefs.lang, 'filters.mcSetDone', { value: prefs.mcUsdThreshold })
+
+    if (addedCount > 0) {
+      message += `\n${t(prefs.lang, 'filters.mcAutoAdded', { count: addedCount })}`
+    }
+    message += await noUsdPriceNote(prefs.lang)
+
+    await ctx.reply(message)
+    await showPushFilters(ctx)
+    return true
+  }
+
+  async function handleLargeTradeReply(ctx) {
+    const prefs = getPrefs(chatKey(ctx))
+    const n = Number((ctx.text || '').trim())
+    if (!Number.isFinite(n) || n <= 0) {
+      await ctx.reply(t(prefs.lang, 'common.positiveNumber'))
+      return false
+    }
+    prefs.largeTradeOkb = n
+    saveState()
+    await showNotifySettings(ctx)
+    return true
+  }
+
+  const replyHandlers = {
+    mc_threshold: handleMcThresholdReply,
+    large_trade: handleLargeTradeReply,
+    analyze: (ctx) => replyAnalysis(ctx, ctx.text),
+    alert_target: handleAlertTargetReply,
+    push_filter: handlePushFilterReply,
+    snipe_field: handleSnipeFieldReply,
+    position_exit: handlePositionExitReply,
+    watch_add: handleWatchAddReply,
+    copy_cap: handleCopyCapReply
+  }
+
+  // Handle replies to force_reply prompts, routed by the prompt they answer
+  async function routeReply(ctx, next) {
+    const reply = ctx.msg?.reply_to_message
+    if (!reply) return next()
+
+    const key = `${ctx.chat.id}:${reply.message_id}`
+    const pending = pendingReplies.get(key)
+    const handler = pending && replyHandlers[pending.kind]
+    if (!handler) return next()
+    // 群组中只有发起提示的用户可以回复
+    if (pending.userId !== (ctx.from?.id ?? null)) return next()
+
+    // 输入无效时保留提示，用户可再次回复
+    const done = await handler(ctx, pending)
+    if (done) pendingReplies.delete(key)
+  }
+  bot.on('message', routeReply)
+  bot.on('channel_post', routeReply)
+
+  // 解析 Deployed 日志并补全元数据（实时推送、回填与 /recent 共用）
+  async function enrichDeploy(addr, amount, log) {
+    const meta = new ethers.Contract(addr, PUMPTOKEN_META_ABI, provider)
+    const erc20 = new ethers.Contract(addr, ERC20_ABI, provider)
+    const [descRaw, webRaw, tgRaw, twRaw, symbolRaw, decimalsRaw, tx, block] = await Promise.all([
+      meta.description().catch(() => ''),
+      meta.website().catch(() => ''),
+      meta.telegram().catch(() => ''),
+      meta.twitter().catch(() => ''),
+      erc20.symbol().catch(() => ''),
+      erc20.decimals().catch(() => null),
+      provider.getTransaction(log.transactionHash).catch(() => null),
+      provider.getBlock(log.blockNumber).catch(() => null)
+    ])
+    return {
+      addr,
+      devBuyWei: amount.toString(),
+      devBuyOkb: Number(ethers.formatEther(amount)),
+      symbol: String(symbolRaw || ''),
+      decimals: decimalsRaw === null ? null : Number(decimalsRaw),
+      description: String(descRaw || ''),
+      website: String(webRaw || ''),
+      telegram: String(tgRaw || ''),
+      twitter: String(twRaw || ''),
+      deployer: tx?.from || null,
+      deployerPrevious: null,
+      riskScore: null,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      timestamp: block ? block.timestamp * 1000 : Date.now()
+    }
+  }
+
+  function formatDeployMessage(deploy, { mc, risk, showTime = false }, lang) {
+    const none = t(lang, 'common.none')
+    const toText = (v) => (v && String(v).trim().length > 0 ? String(v) : none)
+    const minutes = Math.floor((Date.now() - deploy.timestamp) / 60000)
+    const lines = [
+      t(lang, 'deploy.title'),
+      showTime ? t(lang, 'deploy.time', { minutes, block: deploy.blockNumber }) : null,
+      t(lang, 'deploy.contract', { address: deploy.addr }),
+      t(lang, 'deploy.symbol', { value: escapeHtml(toText(deploy.symbol)) }),
+      t(lang, 'deploy.decimals', { value: deploy.decimals !== null && deploy.decimals !== undefined ? String(deploy.decimals) : none }),
+      t(lang, 'deploy.devBuy', { amount: ethers.formatEther(BigInt(deploy.devBuyWei)) }),
+      t(lang, 'deploy.deployer', { value: deploy.deployer ? `<code>${deploy.deployer}</code>` : none }),
+      t(lang, 'deploy.risk', { value: risk ? formatRisk(risk, lang) : none }),
+      t(lang, 'deploy.marketCap', { value: formatMarketCap(mc) || none }),
+      t(lang, 'deploy.description', { value: escapeHtml(toText(deploy.description)) }),
+      t(lang, 'deploy.website', { value: escapeHtml(toText(deploy.website)) }),
+      t(lang, 'deploy.telegram', { value: escapeHtml(toText(deploy.telegram)) }),
+      t(lang, 'deploy.twitter', { value: escapeHtml(toText(deploy.twitter)) })
+    ]
+    return lines.filter((l) => l !== null).join('\n')
+  }
+
+  function deployMessageExtra(addr, userId, lang) {
+    const extra = { parse_mode: 'HTML' }
+    if (canTrade(userId)) {
+      extra.reply_markup = { inline_keyboard: [
+        [ { text: t(lang, 'deploy.buy', { amount: QUICK_BUY_OKB }), callback_data: `qb_${addr}` }, { text: t(lang, 'trade.sellAll'), callback_data: `qs_${addr}` } ]
+      ] }
+    }
+    return extra
+  }
+
+  // 处理一条 Deployed 日志；live 为 false 时（回填）只记录历史不推送
+  async function handleDeployLog(log, live) {
+    const parsed = PUMPU_IFACE.parseLog(log)
+    const addr = parsed.args?.[0]
+    const amount = parsed.args?.[1] || 0n
+    const key = `${addr}:${amount.toString()}`
+    // 已推送过的部署在重组重扫时只补回历史记录，不再重复推送
+    const seen = sentKeys.has(key)
+    if (seen && deployIndex.has(addr)) return null
+    markSent(key)
+
+    const deploy = await enrichDeploy(addr, amount, log)
+    const previousTokens = recordDeploy(deploy)
+    if (!live || seen) return deploy
+    botStats.deploysSeen++
+
+    // 自动狙击不等待推送，尽早下单
+    runSnipes(deploy).catch((e) => console.log('自动狙击失败:', e.message))
+
+    // 部署者信誉与合约风险
+    const [risk, mc] = await Promise.all([
+      reputation.assess(addr, deploy.deployer, previousTokens).catch(() => null),
+      prices.getMarketCap(addr).catch(() => null)
+    ])
+    deploy.riskScore = risk ? risk.score : null
+    deploy.launchMcUsd = mc?.mcUsd ?? null
+    notifyWalletDeploy(deploy, mc, risk)
+
+    // Push per-user with filters & language（维护模式下只记录不推送）
+    if (settings.maintenance) return deploy
+    for (const uid of subscribedUsers) {
+      try {
+        const prefs = getPrefs(uid)
+        if (!prefs.notify.deploys || !passesFilters(prefs, deploy)) continue
+        // 摘要模式下不逐条推送，上线情况汇总进下一期摘要
+        if (prefs.digest === 'off') {
+          outbox.send(uid, formatDeployMessage(deploy, { mc, risk }, prefs.lang), deployMessageExtra(addr, uid, prefs.lang), { priority: PRIORITY.push })
+            .then((msg) => {
+              if (!msg) return
+              botStats.pushesSent++
+              rememberPush(uid, addr, msg.message_id)
+            })
+        }
+
+        // 新增：自动添加到市值提醒列表
+        if (prefs.mcUsdThreshold) {
+          addToMarketCapAlerts(addr, uid, null, deploy.symbol)
+        }
+      } catch {}
+    }
+    return deploy
+  }
+
+  // 关注代币的成交：大额买卖与开发者卖出，以回复原推送的形式通知
+  async function handleTransferLog(log) {
+    const tokenAddr = ethers.getAddress(log.address)
+    const alertData = marketCapAlerts.get(tokenAddr)
+    if (!alertData) return
+    const { from, to, value } = ERC20_IFACE.parseLog(log).args
+    const trade = classifyTransfer(from, to, alertData.tracking.pool?.address || tokenAddr)
+    if (!trade) return
+
+    const mc = await prices.getMarketCap(tokenAddr).catch(() => null)
+    if (!mc) return
+    const tokens = Number(ethers.formatUnits(value, mc.decimals))
+    const okb = tokens * mc.priceWokb
+    const deployer = deployIndex.get(tokenAddr)?.deployer
+    const devSell = trade.side === 'sell' && deployer && trade.trader.toLowerCase() === deployer.toLowerCase()
+
+    for (const chatId of alertData.users.keys()) {
+      const prefs = getPrefs(chatId)
+      const { lang } = prefs
+      const large = prefs.largeTradeOkb && okb >= prefs.largeTradeOkb
+      if (!(devSell && prefs.notify.devSells) && !large) continue
+      const title = devSell ? 'activity.devSell' : trade.side === 'buy' ? 'activity.largeBuy' : 'activity.largeSell'
+      const text = [
+        t(lang, title),
+        t(lang, 'wallets.trade.token', { symbol: escapeHtml(alertData.symbol || '?'), token: tokenAddr }),
+        t(lang, 'wallets.trade.amount', { amount: tokens.toLocaleString('en-US', { maximumFractionDigits: 2 }), okb: okb.toFixed(4) }),
+        t(lang, 'activity.wallet', { address: trade.trader }),
+        t(lang, 'wallets.trade.mc', { mc: formatMarketCap(mc) }),
+        `Tx: <code>${log.transactionHash}</code>`
+      ].join('\n')
+      sendFollowUp(chatId, tokenAddr, text)
+    }
+  }
+
+  // 新增：/recent [n] 浏览最近上线的代币（与实时推送相同的内容）
+  const RECENT_DEFAULT = 5
+  const RECENT_MAX = 10
+
+  async function showRecent(ctx, offset, size) {
+    const userId = ctx.from.id
+    const lang = getPrefs(chatKey(ctx)).lang
+    const end = deployHistory.length - offset
+    const start = Math.max(0, end - size)
+    if (end <= 0) {
+      return ctx.reply(t(lang, 'recent.empty'))
+    }
+    for (const deploy of deployHistory.slice(start, end).reverse()) {
+      const [risk, mc] = await Promise.all([
+        reputation.assess(deploy.addr, deploy.deployer, previousTokensOf(deploy)).catch(() => null),
+        prices.getMarketCap(deploy.addr).catch(() => null)
+      ])
+      await ctx.reply(formatDeployMessage(deploy, { mc, risk, showTime: true }, lang), deployMessageExtra(deploy.addr, userId, lang))
+    }
+    const nav = []
+    if (offset > 0) nav.push({ text: t(lang, 'recent.newer'), callback_data: `rc_${Math.max(0, offset - size)}_${size}` })
+    if (start > 0) nav.push({ text: t(lang, 'recent.older'), callback_data: `rc_${offset + size}_${size}` })
+    const text = t(lang, 'recent.range', { from: offset + 1, to: offset + (end - start), total: deployHistory.length })
+    return ctx.reply(text, nav.length ? { reply_markup: { inline_keyboard: [nav] } } : {})
+  }
+
+  // 新增：摘要模式与 /top 排行榜（基于已记录的部署与提醒/毕业事件）
+  function recordDigestEvent(event) {
+    digestEvents.push(event)
+    const oldest = event.at - DIGEST_PERIODS.daily
+    while (digestEvents.length > MAX_DIGEST_EVENTS || digestEvents[0].at < oldest) digestEvents.shift()
+  }
+
+  // 统计区间 [since, until) 内的上线、涨幅与事件；行情逐个查询，避免集中打满 RPC
+  async function buildDigestReport(since, until) {
+    const launches = deployHistory.filter((d) => d.timestamp >= since && d.timestamp < until)
+    const entries = []
+    for (const deploy of launches.filter((d) => d.launchMcUsd > 0).slice(-DIGEST_MAX_TOKENS)) {
+      const mc = await prices.getMarketCap(deploy.addr).catch(() => null)
+      entries.push({ deploy, mcUsd: mc?.mcUsd ?? null })
+    }
+    const events = digestEvents.filter((e) => e.at >= since && e.at < until)
+    return { since, until, launches, entries, events }
+  }
+
+  function formatUtc(ts) {
+    return new Date(ts).toISOString().slice(0, 16).replace('T', ' ')
+  }
+
+  // 按会话的推送过滤条件生成摘要；提醒只列出该会话自己的
+  function formatDigest(report, prefs, chatId, title) {
+    const { lang } = prefs
+    const token = (symbol, addr) => `${escapeHtml(symbol || '?')} <code>${addr}</code>`
+    const launches = report.launches.filter((d) => passesFilters(prefs, d))
+    const movers = rankMovers(report.entries.filter(({ deploy }) => passesFilters(prefs, deploy)), DIGEST_TOP_SIZE)
+    const graduations = report.events.filter((e) => e.kind === 'graduation')
+    const alerts = report.events.filter((e) => e.kind === 'alert' && e.chatId === chatId)
+    const section = (header, items) => ['', header, ...(items.length ? items : [t(lang, 'common.none')])]
+    const lines = [
+      title,
+      t(lang, 'digest.range', { from: formatUtc(report.since), to: formatUtc(report.until) }),
+      '',
+      t(lang, 'digest.launches', { count: launches.length }),
+      ...section(t(lang, 'digest.movers'), movers.map((m, i) => t(lang, 'digest.mover', {
+        rank: i + 1,
+        token: token(m.deploy.symbol, m.deploy.addr),
+        change: formatChange(m.changePct),
+        from: formatUsd(m.deploy.launchMcUsd),
+        to: formatUsd(m.mcUsd)
+      }))),
+      ...section(t(lang, 'digest.graduations'), graduations.map((e) => `• ${token(e.symbol, e.token)}`)),
+      ...section(t(lang, 'digest.alerts'), alerts.map((e) => t(lang, 'digest.alert', { token: token(e.symbol, e.token), mc: formatUsd(e.mcUsd) })))
+    ]
+    return { text: lines.join('\n'), empty: !launches.length && !graduations.length && !alerts.length }
+  }
+
+  // 每个周期边界之后发送上一周期的摘要；同一周期的会话共用一份行情
+  async function sendDigests(now = Date.now()) {
+    const reports = new Map() // digest 模式 -> 上一周期的报告
+    let changed = false
+    for (const chatId of subscribedUsers) {
+      const prefs = getPrefs(chatId)
+      const periodMs = DIGEST_PERIODS[prefs.digest]
+      if (!periodMs || !isDigestDue(periodMs, prefs.digestSentAt, now)) continue
+      try {
+        if (!reports.has(prefs.digest)) {
+          const until = periodStart(periodMs, now)
+          reports.set(prefs.digest, await buildDigestReport(until - periodMs, until))
+        }
+        const digest = formatDigest(reports.get(prefs.digest), prefs, chatId, t(prefs.lang, `digest.title.${prefs.digest}`))
+        prefs.digestSentAt = now
+        changed = true
+        // 整个周期没有任何内容时不打扰
+        if (digest.empty) continue
+        outbox.send(chatId, digest.text, { parse_mode: 'HTML', disable_web_page_preview: true }, { priority: PRIORITY.notice })
+      } catch (e) {
+        console.log(`生成摘要失败 ${chatId}:`, e.message)
+      }
+    }
+    if (changed) saveState()
+  }
+
+  // /top [hour|day]：最近一小时或 24 小时的排行榜（滚动窗口）
+  async function showTop(ctx, arg) {
+    const prefs = getPrefs(chatKey(ctx))
+    const mode = /^(h|1h|hour|hourly)$/i.test(arg || '') ? 'hourly' : 'daily'
+    const now = Date.now()
+    const report = await buildDigestReport(now - DIGEST_PERIODS[mode], now + 1)
+    const { text } = formatDigest(report, prefs, chatKey(ctx), t(prefs.lang, `digest.top.${mode}`))
+    return ctx.reply(text, { parse_mode: 'HTML', disable_web_page_preview: true })
+  }
+
+  let mcTimer = null
+
+  // 启动回填：补齐上次游标以来（首次启动为最近 INITIAL_BACKFILL_BLOCKS 个区块）的部署历史
+  async function backfill() {
+    const latest = (await rpc.call((p) => p.getBlockNumber())) - Number(CONFIRMATIONS)
+    const hadCursor = lastProcessed > 0
+    const from = hadCursor ? lastProcessed + 1 : Math.max(Number(FACTORY_START_BLOCK), latest - Number(INITIAL_BACKFILL_BLOCKS))
+    if (!hadCursor) indexedFrom = from
+    if (from > latest) return
+    console.log(`开始回填区块 ${from} - ${latest}`)
+    let found = 0
+    await getLogsChunked(rpc, { address: PUMPU_FACTORY, topics: [DEPLOYED_TOPIC] }, from, latest, {
+      chunkSize: Number(LOGS_CHUNK_SIZE),
+      onChunk: async (logs, chunkFrom, chunkTo) => {
+        for (const log of logs) {
+          try {
+            if (await handleDeployLog(log, false)) found++
+          } catch (e) {
+            console.log('回填日志处理失败:', e.message)
+          }
+        }
+        lastProcessed = chunkTo
+        saveCursor()
+      }
+    })
+    console.log(`回填完成，新增 ${found} 个部署记录`)
+
+    // 服务休眠期间错过的部署：提示订阅用户使用 /recent 查看
+    if (hadCursor && found > 0 && !settings.maintenance) {
+      for (const uid of subscribedUsers) {
+        if (!getPrefs(uid).notify.deploys) continue
+        outbox.send(uid, t(getPrefs(uid).lang, 'recent.offline', { count: found }), {}, { priority: PRIORITY.push })
+      }
+    }
+  }
+
+  // Real-time watcher; resumes from the cursor left by the backfill
+  const watcher = createBlockWatcher({
+    rpc,
+    // 工厂的部署事件 + 关注列表中代币的 Transfer（成交动态，数量有上限，见 watchedTokens）
+    // 以及跟踪钱包作为 from / to 的 Transfer（钱包动态）
+    filter: () => {
+      const filters = [ { address: [PUMPU_FACTORY, ...watchedTokens()], topics: [[DEPLOYED_TOPIC, TRANSFER_TOPIC]] } ]
+      const wallets = walletTopics(allWatchedAddresses())
+      if (wallets.length) filters.push({ topics: [TRANSFER_TOPIC, wallets] }, { topics: [TRANSFER_TOPIC, null, wallets] })
+      return filters
+    },
+    confirmations: Number(CONFIRMATIONS),
+    chunkSize: Number(LOGS_CHUNK_SIZE),
+    getCursor: () => lastProcessed,
+    setCursor: (bn) => {
+      lastProcessed = bn
+      saveCursor()
+    },
+    onLogs: async (logs) => {
+      for (const log of logs) {
+        try {
+          if (log.topics[0] === DEPLOYED_TOPIC) {
+            await handleDeployLog(log, true)
+          } else {
+            await handleTransferLog(log)
+            await handleWalletTransfer(log)
+          }
+        } catch (e) {
+          console.log('日志处理失败:', e.message)
+        }
+      }
+    },
+    onReorg: (ancestor, cursor) => {
+      console.log(`检测到链重组：区块 ${cursor} 已不在主链，回退到 ${ancestor} 重新扫描`)
+      dropDeploysAfter(ancestor)
+    },
+    onError: (e) => console.log('区块监听出错:', e.shortMessage || e.message)
+  })
+
+  let backfilling = true
+
+  // 健康检查：RPC 可达、监听落后不超过 HEALTH_MAX_LAG 且近期有扫描（回填期间只检查 RPC）
+  const HEALTH_CACHE_MS = 10_000
+  const HEALTH_RPC_TIMEOUT = 5000
+  const WATCHER_STALE_MS = 2 * 60 * 1000
+  let healthCache = null
+
+  async function rpcHead() {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('RPC timeout')), HEALTH_RPC_TIMEOUT)
+    })
+    try {
+      return await Promise.race([rpc.call((p) => p.getBlockNumber(), { retries: 0 }), timeout])
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async function checkHealth() {
+    if (healthCache && Date.now() - healthCache.at < HEALTH_CACHE_MS) return healthCache.report
+    const w = watcher.stats
+    let head = null
+    let rpcError = null
+    try {
+      head = await rpcHead()
+    } catch (e) {
+      rpcError = e.shortMessage || e.message
+    }
+    const lag = head !== null ? Math.max(0, head - lastProcessed) : null
+    const scanAge = w.lastTickAt ? Date.now() - w.lastTickAt : null
+    const checks = {
+      rpc: rpcError === null,
+      lag: backfilling || (lag !== null && lag <= Number(HEALTH_MAX_LAG)),
+      scanning: backfilling || (scanAge !== null && scanAge <= WATCHER_STALE_MS)
+    }
+    const ok = Object.values(checks).every(Boolean)
+    const report = {
+      status: ok ? (backfilling ? 'starting' : 'ok') : 'unhealthy',
+      checks,
+      rpc: { endpoint: rpc.activeLabel, head, error: rpcError },
+      watcher: { mode: w.mode, lastProcessed, lag, lastScanSecondsAgo: scanAge === null ? null : Math.round(scanAge / 1000) },
+      maintenance: settings.maintenance
+    }
+    healthCache = { at: Date.now(), report }
+    return report
+  }
+
+  // Prometheus 指标（计数器自 botStats.since 起累计）
+  function collectMetrics() {
+    const q = outbox.stats
+    const w = watcher.stats
+    const groups = [...subscribedUsers].filter((id) => id < 0).length
+    return [
+      { name: 'pumpu_deploys_seen_total', help: 'PumpToken deploys processed.', type: 'counter', value: botStats.deploysSeen },
+      { name: 'pumpu_pushes_sent_total', help: 'Deploy pushes delivered to chats.', type: 'counter', value: botStats.pushesSent },
+      { name: 'pumpu_alerts_fired_total', help: 'Market cap alerts fired.', type: 'counter', value: botStats.alertsFired },
+      { name: 'pumpu_follow_ups_total', help: 'Follow-up notifications sent for tracked tokens.', type: 'counter', value: botStats.followUps },
+      { name: 'pumpu_broadcasts_total', help: 'Admin broadcasts sent.', type: 'counter', value: botStats.broadcasts },
+      {
+        name: 'pumpu_telegram_messages_total',
+        help: 'Outbound Telegram messages by result.',
+        type: 'counter',
+        samples: ['sent', 'failed', 'retried', 'rateLimited', 'blocked'].map((result) => ({ labels: { result }, value: q[result] }))
+      },
+      {
+        name: 'pumpu_send_queue_depth',
+        help: 'Messages waiting in the send queue.',
+        type: 'gauge',
+        samples: Object.entries(outbox.depthByPriority()).map(([priority, n]) => ({ labels: { priority }, value: n }))
+      },
+      {
+        name: 'pumpu_subscribers',
+        help: 'Subscribed chats.',
+        type: 'gauge',
+        samples: [ { labels: { type: 'private' }, value: subscribedUsers.size - groups }, { labels: { type: 'group' }, value: groups } ]
+      },
+      { name: 'pumpu_active_users_24h', help: 'Users seen in the last 24 hours.', type: 'gauge', value: activeUsers(86400000) },
+      { name: 'pumpu_watcher_head_block', help: 'Latest chain head seen by the watcher.', type: 'gauge', value: w.head },
+      { name: 'pumpu_watcher_last_processed_block', help: 'Last block whose logs were processed.', type: 'gauge', value: lastProcessed },
+      { name: 'pumpu_watcher_lag_blocks', help: 'Blocks between head and the processed cursor.', type: 'gauge', value: w.lag },
+      { name: 'pumpu_watcher_errors_total', help: 'Watcher scan errors.', type: 'counter', value: w.errors },
+      { name: 'pumpu_watcher_reorgs_total', help: 'Chain reorganisations detected.', type: 'counter', value: w.reorgs },
+      { name: 'pumpu_rpc_errors_total', help: 'Failed RPC calls.', type: 'counter', value: rpc.stats.errors },
+      { name: 'pumpu_rpc_failovers_total', help: 'RPC endpoint failovers.', type: 'counter', value: rpc.stats.failovers },
+      { name: 'pumpu_maintenance', help: '1 while maintenance mode pauses pushes.', type: 'gauge', value: settings.maintenance ? 1 : 0 }
+    ]
+  }
+
+  // 管理 JSON API（需 API_TOKEN）
+  const API_DEPLOYS_MAX = 100
+
+  function apiStats() {
+    const groups = [...subscribedUsers].filter((id) => id < 0).length
+    return {
+      since: new Date(botStats.since).toISOString(),
+      subscribers: { total: subscribedUsers.size, private: subscribedUsers.size - groups, groups },
+      activeUsers: { day: activeUsers(86400000), week: activeUsers(7 * 86400000) },
+      deploysSeen: botStats.deploysSeen,
+      pushesSent: botStats.pushesSent,
+      alertsFired: botStats.alertsFired,
+      followUps: botStats.followUps,
+      broadcasts: botStats.broadcasts,
+      alertTokens: marketCapAlerts.size,
+      banned: bannedUsers.size,
+      queue: { depth: outbox.depth(), ...outbox.stats },
+      watcher: { ...watcher.stats, lastProcessed },
+      maintenance: settings.maintenance
+    }
+  }
+
+  function apiDeploys(url) {
+    const limit = Math.min(Math.max(1, Number(url.searchParams.get('limit')) || 20), API_DEPLOYS_MAX)
+    const offset = Math.max(0, Number(url.searchParams.get('offset')) || 0)
+    const end = Math.max(0, deployHistory.length - offset)
+    const deploys = deployHistory.slice(Math.max(0, end - limit), end).reverse()
+    return { total: deployHistory.length, offset, deploys }
+  }
+
+  async function handleHttp(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method Not Allowed')
+    if (url.pathname === '/healthz') {
+      const report = await checkHealth()
+      return sendJson(res, report.status === 'unhealthy' ? 503 : 200, report)
+    }
+    if (url.pathname === '/metrics') {
+      return sendText(res, 200, formatMetrics(collectMetrics()), 'text/plain; version=0.0.4; charset=utf-8')
+    }
+    if (url.pathname.startsWith('/api/')) {
+      if (!hasValidToken(req, url, API_TOKEN)) return sendJson(res, 401, { error: 'unauthorized' })
+      if (url.pathname === '/api/stats') return sendJson(res, 200, apiStats())
+      if (url.pathname === '/api/deploys') return sendJson(res, 200, apiDeploys(url))
+      return sendJson(res, 404, { error: 'not found' })
+    }
+    // 其余路径用于保活 ping
+    return sendText(res, 200, 'OK')
+  }
+
+  const SHUTDOWN_DRAIN_MS = 10_000
+  let running = false
+  let ready = null
+
+  // 加载状态、启动市值检查定时器，后台回填后开始实时监听（whenReady() 在回填结束后完成）
+  // mcCheckInterval 为 0 时不启动定时器，由调用方自行调用 checkMarketCapAlerts（测试用）
+  async function start() {
+    // 没有 OKB/USD 价格来源时市值都是 null，所有提醒永远不会触发，直接拒绝启动
+    if (!WOKB_USD_PAIR && !DEX_FACTORY) {
+      throw new Error('WOKB_USD_PAIR or DEX_FACTORY must be set: market cap alerts need an OKB/USD price source')
+    }
+    running = true
+    await loadState()
+    await bot.telegram.getMe().then((me) => { BOT_USERNAME = me.username }).catch(() => {})
+    if (MC_CHECK_INTERVAL > 0) {
+      mcTimer = setInterval(() => checkMarketCapAlerts(), MC_CHECK_INTERVAL)
+      console.log(`市值提醒检查已启动，间隔: ${MC_CHECK_INTERVAL/1000}秒`)
+    }
+    ready = backfill()
+      .catch((e) => console.log('回填失败:', e.message || e))
+      .finally(() => {
+        backfilling = false
+        if (running) watcher.start()
+      })
+  }
+
+  // 停止定时器与区块监听，发完队列中的消息并保存状态与游标；返回发送队列是否已清空
+  async function stop(drainTimeout = SHUTDOWN_DRAIN_MS) {
+    running = false
+    clearInterval(mcTimer)
+    watcher.stop()
+    const drained = await outbox.drain(drainTimeout)
+    if (!drained) console.log(`发送队列未在 ${drainTimeout / 1000} 秒内清空，丢弃 ${outbox.depth()} 条消息`)
+    saveState()
+    saveCursor()
+    await storage.flush()
+    console.log(`已保存游标区块 ${lastProcessed}`)
+    return drained
+  }
+
+  return {
+    bot,
+    start,
+    whenReady: () => ready,
+    stop,
+    handleHttp,
+    handleDeployLog,
+    handleTransferLog,
+    checkMarketCapAlerts,
+    sendDigests,
+    outbox,
+    watcher,
+    get lastProcessed() {
+      return lastProcessed
+    },
+    state: { subscribedUsers, userPushPrefs, marketCapAlerts, deployHistory, pendingReplies, referrals, positions, settings, botStats }
+  }
+}
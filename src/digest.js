@@ -0,0 +1,37 @@
+// Periodic digest and /top leaderboard built from the recorded deploys.
+// Digests are aligned to period boundaries (top of the hour / UTC midnight), so every user on
+// the same period gets the same window and the report can be shared between them.
+// Movers compare the current market cap with the one seen when the launch was pushed.
+
+export const DIGEST_PERIODS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 }
+export const DIGEST_MODES = ['off', ...Object.keys(DIGEST_PERIODS)]
+
+// 设置中的循环切换：off → hourly → daily → off
+export function nextDigestMode(mode) {
+  const i = DIGEST_MODES.indexOf(mode)
+  return DIGEST_MODES[(i + 1) % DIGEST_MODES.length]
+}
+
+// 当前所在周期的起点
+export function periodStart(periodMs, now = Date.now()) {
+  return Math.floor(now / periodMs) * periodMs
+}
+
+// 上次发送之后跨过了新的周期边界即到期
+export function isDigestDue(periodMs, lastSentAt, now = Date.now()) {
+  if (!lastSentAt) return false
+  return periodStart(periodMs, now) > periodStart(periodMs, lastSentAt)
+}
+
+// entries: [{ deploy, mcUsd }]；按上线时市值的涨跌幅从高到低排序
+export function rankMovers(entries, limit = 5) {
+  return entries
+    .filter(({ deploy, mcUsd }) => deploy.launchMcUsd > 0 && mcUsd !== null && mcUsd !== undefined)
+    .map(({ deploy, mcUsd }) => ({ deploy, mcUsd, changePct: ((mcUsd - deploy.launchMcUsd) / deploy.launchMcUsd) * 100 }))
+    .sort((a, b) => b.changePct - a.changePct)
+    .slice(0, limit)
+}
+
+export function formatChange(pct) {
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`
+}
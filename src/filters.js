@@ -0,0 +1,76 @@
+// Composable push filters for new-deploy notifications.
+// Each filter reads its own fields from the user's prefs and tests one deploy record:
+// { addr, devBuyOkb, symbol, description, website, telegram, twitter, deployer, deployerPrevious, riskScore }
+
+export function hasMediaLink(deploy) {
+  return [deploy.website, deploy.telegram, deploy.twitter].some((v) => Boolean(v && String(v).trim().length > 0))
+}
+
+function searchText(deploy) {
+  return `${deploy.symbol || ''}\n${deploy.description || ''}`.toLowerCase()
+}
+
+export function matchesAnyKeyword(deploy, keywords) {
+  const text = searchText(deploy)
+  return keywords.some((k) => text.includes(k.toLowerCase()))
+}
+
+function sameAddress(list, addr) {
+  const a = String(addr || '').toLowerCase()
+  return list.some((x) => x.toLowerCase() === a)
+}
+
+export function defaultFilters() {
+  return {
+    requireMediaLink: false,
+    devBuyMin: null, // OKB
+    devBuyMax: null, // OKB
+    includeKeywords: [],
+    excludeKeywords: [],
+    deployerAllow: [],
+    deployerBlock: [],
+    maxDeployerTokens: null, // 部署者此前发过的代币数上限
+    maxRiskScore: null // 风险分上限（0-100，见 src/reputation.js）
+  }
+}
+
+export const FILTERS = [
+  { key: 'requireMediaLink', test: (f, d) => !f.requireMediaLink || hasMediaLink(d) },
+  { key: 'devBuyMin', test: (f, d) => f.devBuyMin === null || d.devBuyOkb >= f.devBuyMin },
+  { key: 'devBuyMax', test: (f, d) => f.devBuyMax === null || d.devBuyOkb <= f.devBuyMax },
+  { key: 'includeKeywords', test: (f, d) => f.includeKeywords.length === 0 || matchesAnyKeyword(d, f.includeKeywords) },
+  { key: 'excludeKeywords', test: (f, d) => !matchesAnyKeyword(d, f.excludeKeywords) },
+  { key: 'deployerAllow', test: (f, d) => f.deployerAllow.length === 0 || sameAddress(f.deployerAllow, d.deployer) },
+  { key: 'deployerBlock', test: (f, d) => !sameAddress(f.deployerBlock, d.deployer) },
+  // 部署者未知时不拦截
+  { key: 'maxDeployerTokens', test: (f, d) => f.maxDeployerTokens === null || d.deployerPrevious === null || d.deployerPrevious <= f.maxDeployerTokens },
+  { key: 'maxRiskScore', test: (f, d) => f.maxRiskScore === null || d.riskScore === null || d.riskScore === undefined || d.riskScore <= f.maxRiskScore }
+]
+
+// 返回未通过的过滤器 key 列表，空数组表示通过
+export function failedFilters(filters, deploy) {
+  return FILTERS.filter(({ test }) => !test(filters, deploy)).map(({ key }) => key)
+}
+
+export function passesFilters(filters, deploy) {
+  return FILTERS.every(({ test }) => test(filters, deploy))
+}
+
+export function parseKeywords(text) {
+  const raw = String(text || '').trim()
+  if (raw === '' || raw === '-') return []
+  return raw.split(/[,，]/).map((k) => k.trim()).filter(Boolean)
+}
+
+// 解析 'min-max'，任一侧可留空；'-' 表示清除。格式错误返回 null
+export function parseRange(text) {
+  const raw = String(text || '').trim()
+  if (raw === '-') return { min: null, max: null }
+  const m = raw.match(/^([\d.]*)\s*-\s*([\d.]*)$/)
+  if (!m) return null
+  const min = m[1] === '' ? null : Number(m[1])
+  const max = m[2] === '' ? null : Number(m[2])
+  if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) return null
+  if (min !== null && max !== null && min > max) return null
+  return { min, max }
+}
@@ -0,0 +1,42 @@
+// Helpers for the HTTP side of the webhook server: JSON/text responses, token checks for the
+// admin API and the Prometheus text exposition format used by /metrics.
+
+import crypto from 'crypto'
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' })
+  res.end(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)))
+}
+
+export function sendText(res, status, text, contentType = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'content-type': contentType, 'cache-control': 'no-store' })
+  res.end(text)
+}
+
+// 令牌可放在 Authorization: Bearer <token> 或 ?token= 中；未配置令牌时一律拒绝
+export function hasValidToken(req, url, token) {
+  if (!token) return false
+  const header = req.headers.authorization || ''
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token') || ''
+  const a = Buffer.from(given)
+  const b = Buffer.from(token)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+// metrics: [{ name, help, type: 'counter'|'gauge', value | samples: [{ labels, value }] }]
+export function formatMetrics(metrics) {
+  const lines = []
+  for (const m of metrics) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`)
+    for (const { labels = {}, value } of m.samples || [{ value: m.value }]) {
+      const entries = Object.entries(labels)
+      const labelText = entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : ''
+      lines.push(`${m.name}${labelText} ${Number(value) || 0}`)
+    }
+  }
+  return `${lines.join('\n')}\n`
+}
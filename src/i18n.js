@@ -0,0 +1,64 @@
+// Message catalog loaded from locales/<lang>.json.
+// Keys are dotted paths into the locale file ("menu.title"); `{name}` placeholders are filled
+// from the vars object. Missing keys fall back to English, then to the key itself.
+// Adding a language only needs a new locale file with a `language.name` entry.
+
+import fs from 'fs'
+import path from 'path'
+
+export const FALLBACK_LANG = 'en'
+
+// 链上读取的名称、元数据等外部文本放进 parse_mode: 'HTML' 消息前需转义，否则 Telegram 拒收整条消息
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function lookup(catalog, key) {
+  let node = catalog
+  for (const part of key.split('.')) {
+    if (node === null || typeof node !== 'object') return undefined
+    node = node[part]
+  }
+  return typeof node === 'string' ? node : undefined
+}
+
+function interpolate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined || vars[name] === null ? match : String(vars[name])))
+}
+
+export function createI18n({ dir, fallback = FALLBACK_LANG }) {
+  const catalogs = new Map()
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+    catalogs.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+  }
+  if (!catalogs.has(fallback)) throw new Error(`Missing fallback locale ${fallback}.json in ${dir}`)
+
+  function t(lang, key, vars = {}) {
+    const template = lookup(catalogs.get(lang) || {}, key) ?? lookup(catalogs.get(fallback), key)
+    if (template === undefined) {
+      console.log(`缺少翻译: ${key}`)
+      return key
+    }
+    return interpolate(template, vars)
+  }
+
+  function has(lang) {
+    return catalogs.has(lang)
+  }
+
+  // Telegram language_code（如 "zh-hans"、"ru"）映射到已有的语言，否则使用默认语言
+  function detect(languageCode) {
+    const code = String(languageCode || '').toLowerCase()
+    if (catalogs.has(code)) return code
+    const base = code.split('-')[0]
+    return catalogs.has(base) ? base : fallback
+  }
+
+  return {
+    t,
+    has,
+    detect,
+    languages: [...catalogs.keys()],
+    languageName: (lang) => lookup(catalogs.get(lang) || {}, 'language.name') || lang
+  }
+}
@@ -0,0 +1,23 @@
+// Chunked eth_getLogs that stays under RPC block-range limits.
+// Starts at chunkSize and halves the window whenever the node rejects a range.
+
+export async function getLogsChunked(provider, filter, fromBlock, toBlock, { chunkSize = 5000, minChunk = 50, onChunk } = {}) {
+  const logs = []
+  let from = fromBlock
+  let size = chunkSize
+  while (from <= toBlock) {
+    const to = Math.min(toBlock, from + size - 1)
+    let chunk
+    try {
+      chunk = await provider.getLogs({ ...filter, fromBlock: from, toBlock: to })
+    } catch (e) {
+      if (size <= minChunk) throw e
+      size = Math.max(minChunk, Math.floor(size / 2))
+      continue
+    }
+    if (onChunk) await onChunk(chunk, from, to)
+    else logs.push(...chunk)
+    from = to + 1
+  }
+  return logs
+}
@@ -0,0 +1,75 @@
+// Position book for tokens bought through the bot wallet.
+// Amounts are kept as decimal strings of base units so positions survive JSON storage.
+
+export function createPosition({ token, symbol, decimals }) {
+  return {
+    token,
+    symbol,
+    decimals,
+    amount: '0', // 代币最小单位
+    costWei: '0', // 剩余持仓的 OKB 成本
+    realizedWei: '0', // 已实现盈亏（OKB）
+    takeProfitX: null, // 市值/成本倍数，如 2 表示翻倍止盈
+    stopLossX: null, // 如 0.7 表示亏损 30% 止损
+    openedAt: Date.now()
+  }
+}
+
+export function addToPosition(pos, tokensIn, okbCost) {
+  pos.amount = (BigInt(pos.amount) + tokensIn).toString()
+  pos.costWei = (BigInt(pos.costWei) + okbCost).toString()
+}
+
+// 按比例扣减成本，返回本次已实现盈亏（wei，可为负）
+export function reducePosition(pos, tokensOut, okbProceeds) {
+  const amount = BigInt(pos.amount)
+  const sold = tokensOut > amount ? amount : tokensOut
+  // 卖出超过记账持仓时只计入对应比例的收入
+  const proceeds = tokensOut > amount ? (okbProceeds * sold) / tokensOut : okbProceeds
+  const cost = BigInt(pos.costWei)
+  const costBasis = amount === 0n ? 0n : (cost * sold) / amount
+  const realized = proceeds - costBasis
+  pos.amount = (amount - sold).toString()
+  pos.costWei = (cost - costBasis).toString()
+  pos.realizedWei = (BigInt(pos.realizedWei) + realized).toString()
+  return realized
+}
+
+// 每个代币的入场价（OKB）
+export function entryPrice(pos) {
+  const amount = Number(BigInt(pos.amount)) / 10 ** pos.decimals
+  return amount > 0 ? Number(BigInt(pos.costWei)) / 1e18 / amount : 0
+}
+
+// 文本转倍数：'2x' / '3' 为倍数；'50%' 对止盈是 +50%，对止损是 -50%
+export function parseExitLevel(text, kind) {
+  const raw = String(text || '').trim().toLowerCase().replace(/\s+/g, '')
+  const pct = raw.match(/^[+-]?(\d+(?:\.\d+)?)%$/)
+  if (pct) {
+    const p = Number(pct[1]) / 100
+    const x = kind === 'tp' ? 1 + p : 1 - p
+    return x > 0 ? x : null
+  }
+  const mult = raw.match(/^(\d+(?:\.\d+)?)x?$/)
+  if (!mult) return null
+  const x = Number(mult[1])
+  if (kind === 'tp' && x <= 1) return null
+  if (kind === 'sl' && (x <= 0 || x >= 1)) return null
+  return x
+}
+
+// 返回 'tp' | 'sl' | null
+export function checkExit(pos, valueOkb) {
+  const cost = Number(BigInt(pos.costWei)) / 1e18
+  if (cost <= 0 || BigInt(pos.amount) === 0n) return null
+  const x = valueOkb / cost
+  if (pos.takeProfitX !== null && x >= pos.takeProfitX) return 'tp'
+  if (pos.stopLossX !== null && x <= pos.stopLossX) return 'sl'
+  return null
+}
+
+export function formatExitLevel(x) {
+  if (x === null) return null
+  const pct = Math.round((x - 1) * 100)
+  return `${x}x (${pct >= 0 ? '+' : ''}${pct}%)`
+}
@@ -0,0 +1,124 @@
+// Token pricing against WOKB, converted to USD through an on-chain WOKB/stable pair.
+// Pool discovery: a UniswapV2-style DEX pair (DEX_FACTORY.getPair) if one exists,
+// otherwise the PumpToken bonding curve, whose reserves are held by the token contract itself.
+
+import { ethers } from 'ethers'
+
+const V2_FACTORY_ABI = [ 'function getPair(address, address) view returns (address)' ]
+const V2_PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+]
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)'
+]
+
+const DEFAULT_CACHE_TTL = 60 * 1000
+
+function toFloat(value, decimals) {
+  return Number(ethers.formatUnits(value, decimals))
+}
+
+export function createPriceService({ provider, wokbAddr, stableAddr, dexFactory, wokbStablePair, cacheTtl = DEFAULT_CACHE_TTL }) {
+  const wokb = ethers.getAddress(wokbAddr.toLowerCase())
+  const factory = dexFactory ? new ethers.Contract(dexFactory, V2_FACTORY_ABI, provider) : null
+  const cache = new Map() // key -> { at, value }
+
+  async function cached(key, fn) {
+    const hit = cache.get(key)
+    if (hit && Date.now() - hit.at < cacheTtl) return hit.value
+    const value = await fn()
+    cache.set(key, { at: Date.now(), value })
+    return value
+  }
+
+  // 检查周期开始时调用，保证同一周期内价格一致、每个池子只查一次
+  function clearCache() {
+    cache.clear()
+  }
+
+  async function getPairAddress(a, b) {
+    if (!factory) return null
+    const pair = await factory.getPair(a, b).catch(() => ethers.ZeroAddress)
+    return pair === ethers.ZeroAddress ? null : pair
+  }
+
+  // 读取 V2 池子储备，返回 [储备 base, 储备 quote]
+  async function readPairReserves(pairAddr, base) {
+    const pair = new ethers.Contract(pairAddr, V2_PAIR_ABI, provider)
+    const [[reserve0, reserve1], token0] = await Promise.all([pair.getReserves(), pair.token0()])
+    return token0.toLowerCase() === base.toLowerCase() ? [reserve0, reserve1] : [reserve1, reserve0]
+  }
+
+  // 1 WOKB 对应的 USD 价格（来自 WOKB/稳定币池子）
+  function getOkbUsd() {
+    return cached('okb_usd', async () => {
+      const pairAddr = wokbStablePair || (stableAddr && await getPairAddress(wokb, stableAddr))
+      if (!pairAddr) return null
+      const pair = new ethers.Contract(pairAddr, V2_PAIR_ABI, provider)
+      const [token0, token1] = await Promise.all([pair.token0(), pair.token1()])
+      const stable = token0.toLowerCase() === wokb.toLowerCase() ? token1 : token0
+      const stableDecimals = Number(await new ethers.Contract(stable, ERC20_ABI, provider).decimals())
+      const [wokbReserve, stableReserve] = await readPairReserves(pairAddr, wokb)
+      if (wokbReserve === 0n) return null
+      return toFloat(stableReserve, stableDecimals) / toFloat(wokbReserve, 18)
+    })
+  }
+
+  // 找到代币对 WOKB 的池子：优先 DEX 池子，否则视为仍在联合曲线上
+  async function findPool(tokenAddr) {
+    const token = new ethers.Contract(tokenAddr, ERC20_ABI, provider)
+    const pairAddr = await getPairAddress(tokenAddr, wokb)
+    if (pairAddr) {
+      const [reserveToken, reserveWokb] = await readPairReserves(pairAddr, tokenAddr)
+      if (reserveToken > 0n) return { type: 'dex', address: pairAddr, reserveToken, reserveWokb }
+    }
+    const wokbToken = new ethers.Contract(wokb, ERC20_ABI, provider)
+    const [nativeReserve, wrappedReserve, reserveToken] = await Promise.all([
+      provider.getBalance(tokenAddr).catch(() => 0n),
+      wokbToken.balanceOf(tokenAddr).catch(() => 0n),
+      token.balanceOf(tokenAddr).catch(() => 0n)
+    ])
+    if (reserveToken === 0n) return null
+    return { type: 'curve', address: tokenAddr, reserveToken, reserveWokb: nativeReserve + wrappedReserve }
+  }
+
+  // 返回 { pool, totalSupply, decimals, priceWokb, okbUsd, priceUsd, mcWokb, mcUsd }，无池子时返回 null
+  function getMarketCap(tokenAddr) {
+    const addr = ethers.getAddress(tokenAddr.toLowerCase())
+    return cached(`mc:${addr}`, async () => {
+      const token = new ethers.Contract(addr, ERC20_ABI, provider)
+      const [pool, totalSupply, decimals, okbUsd] = await Promise.all([
+        findPool(addr),
+        token.totalSupply(),
+        token.decimals().catch(() => 18n),
+        getOkbUsd().catch(() => null)
+      ])
+      if (!pool) return null
+      const priceWokb = toFloat(pool.reserveWokb, 18) / toFloat(pool.reserveToken, Number(decimals))
+      const mcWokb = priceWokb * toFloat(totalSupply, Number(decimals))
+      return {
+        pool,
+        totalSupply,
+        decimals: Number(decimals),
+        priceWokb,
+        okbUsd,
+        priceUsd: okbUsd === null ? null : priceWokb * okbUsd,
+        mcWokb,
+        mcUsd: okbUsd === null ? null : mcWokb * okbUsd
+      }
+    })
+  }
+
+  return { getMarketCap, getOkbUsd, findPool, clearCache }
+}
+
+// 市值展示：优先 USD，无 USD 汇率时退回 OKB
+export function formatMarketCap(mc) {
+  if (!mc) return null
+  if (mc.mcUsd !== null) return `$${mc.mcUsd.toLocaleString('en-US', { maximumFractionDigits: 0 })}`
+  return `${mc.mcWokb.toLocaleString('en-US', { maximumFractionDigits: 2 })} OKB`
+}
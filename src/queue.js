@@ -0,0 +1,151 @@
+// Outbound Telegram send queue.
+// Spaces sends under Telegram's global and per-chat limits, retries failures (honoring
+// 429 retry_after), sends higher-priority messages first and reports chats that blocked the bot.
+
+export const PRIORITY = { alert: 0, notice: 1, push: 2 } // 数值越小越先发送
+
+const MAX_ATTEMPTS = 3
+
+// Telegraf 的 TelegramError 带有 code/parameters；网络错误没有
+function errorInfo(e) {
+  return {
+    code: e.code ?? e.response?.error_code ?? null,
+    retryAfter: e.parameters?.retry_after ?? e.response?.parameters?.retry_after ?? null
+  }
+}
+
+export function createSendQueue({
+  telegram,
+  globalRate = 25, // 每秒最多发送条数（Telegram 上限约 30）
+  privateInterval = 1000, // 同一私聊两条消息的最小间隔
+  groupInterval = 3000, // 群组/频道每分钟约 20 条
+  concurrency = 4,
+  onBlocked = () => {}
+}) {
+  const queues = Object.values(PRIORITY).map(() => [])
+  const chatReadyAt = new Map() // chatId -> 下一次允许发送的时间
+  const busyChats = new Set() // 保证同一会话按顺序发送
+  const stats = { sent: 0, failed: 0, retried: 0, rateLimited: 0, blocked: 0 }
+  let globalReadyAt = 0
+  let inFlight = 0
+  let timer = null
+  let idleWaiters = []
+
+  function depth() {
+    return queues.reduce((n, q) => n + q.length, 0)
+  }
+
+  function send(chatId, text, extra = {}, { priority = PRIORITY.notice } = {}) {
+    return new Promise((resolve) => {
+      queues[priority].push({ chatId, text, extra, priority, attempts: 0, resolve })
+      pump()
+    })
+  }
+
+  function takeReady(now) {
+    let wait = Infinity
+    for (const queue of queues) {
+      for (let i = 0; i < queue.length; i++) {
+        const job = queue[i]
+        if (busyChats.has(job.chatId)) continue
+        const at = Math.max(globalReadyAt, chatReadyAt.get(job.chatId) || 0)
+        if (at <= now) return { job: queue.splice(i, 1)[0] }
+        wait = Math.min(wait, at - now)
+      }
+    }
+    return { wait }
+  }
+
+  function pump() {
+    clearTimeout(timer)
+    timer = null
+    while (inFlight < concurrency) {
+      const now = Date.now()
+      const { job, wait } = takeReady(now)
+      if (!job) {
+        if (wait !== Infinity) timer = setTimeout(() => { timer = null; pump() }, wait)
+        break
+      }
+      globalReadyAt = now + Math.ceil(1000 / globalRate)
+      deliver(job)
+    }
+    if (!inFlight && !depth()) {
+      for (const resolve of idleWaiters) resolve()
+      idleWaiters = []
+    }
+  }
+
+  async function deliver(job) {
+    inFlight++
+    busyChats.add(job.chatId)
+    job.attempts++
+    let message = null
+    let requeue = false
+    try {
+      message = await telegram.sendMessage(job.chatId, job.text, job.extra)
+      stats.sent++
+    } catch (e) {
+      const { code, retryAfter } = errorInfo(e)
+      if (code === 429) {
+        // 限流不计入重试次数；整体暂停 retry_after 秒
+        stats.rateLimited++
+        job.attempts--
+        globalReadyAt = Math.max(globalReadyAt, Date.now() + (retryAfter || 1) * 1000)
+        requeue = true
+      } else if (code === 403) {
+        stats.blocked++
+        dropChat(job.chatId)
+        Promise.resolve(onBlocked(job.chatId)).catch(() => {})
+      } else if (code !== 400 && job.attempts < MAX_ATTEMPTS) {
+        stats.retried++
+        chatReadyAt.set(job.chatId, Date.now() + 1000 * 2 ** job.attempts)
+        requeue = true
+      } else {
+        stats.failed++
+        console.log(`发送消息到 ${job.chatId} 失败:`, e.description || e.message)
+      }
+    } finally {
+      const interval = String(job.chatId).startsWith('-') ? groupInterval : privateInterval
+      chatReadyAt.set(job.chatId, Math.max(chatReadyAt.get(job.chatId) || 0, Date.now() + interval))
+      busyChats.delete(job.chatId)
+      inFlight--
+    }
+    if (requeue) queues[job.priority].unshift(job)
+    else job.resolve(message)
+    pump()
+  }
+
+  // 屏蔽机器人的会话：丢弃其排队中的消息
+  function dropChat(chatId) {
+    for (const queue of queues) {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (queue[i].chatId !== chatId) continue
+        queue[i].resolve(null)
+        queue.splice(i, 1)
+      }
+    }
+  }
+
+  // 等待队列清空（优雅退出时使用），超时后放弃
+  function drain(timeout = 10_000) {
+    if (!inFlight && !depth()) return Promise.resolve(true)
+    return new Promise((resolve) => {
+      const t = setTimeout(() => resolve(false), timeout)
+      idleWaiters.push(() => {
+        clearTimeout(t)
+        resolve(true)
+      })
+    })
+  }
+
+  return {
+    send,
+    drain,
+    stats,
+    depth,
+    depthByPriority: () => Object.fromEntries(Object.entries(PRIORITY).map(([name, p]) => [name, queues[p].length])),
+    get inFlight() {
+      return inFlight
+    }
+  }
+}
@@ -0,0 +1,36 @@
+// Log redaction: bot tokens, webhook/API secrets and credentials embedded in URLs never reach
+// stdout (hosting providers keep logs around and often share them with the whole team).
+
+const BOT_TOKEN_PATTERN = /\b\d{6,}:[A-Za-z0-9_-]{30,}\b/g
+const URL_USERINFO_PATTERN = /\b((?:https?|wss?):\/\/)[^\s/@]+@/gi
+
+export function createRedactor(secrets = []) {
+  const list = [...new Set(secrets.filter((s) => typeof s === 'string' && s.length >= 8))].sort((a, b) => b.length - a.length)
+  return (text) => {
+    let out = String(text)
+    for (const secret of list) out = out.split(secret).join('***')
+    return out.replace(BOT_TOKEN_PATTERN, '***').replace(URL_USERINFO_PATTERN, '$1***@')
+  }
+}
+
+// URL 中可能带 API key 的部分（路径与查询串），如 https://host/v1/<key>
+export function urlSecrets(url) {
+  try {
+    const { pathname, search } = new URL(url)
+    return [pathname.length > 1 ? pathname : '', search.slice(1)].filter(Boolean)
+  } catch {
+    return []
+  }
+}
+
+// 替换 console 输出函数，字符串与 Error 参数先脱敏再输出
+export function redactConsole(redact, target = console) {
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    const original = target[level].bind(target)
+    target[level] = (...args) => original(...args.map((arg) => {
+      if (typeof arg === 'string') return redact(arg)
+      if (arg instanceof Error) return redact(arg.stack || arg.message)
+      return arg
+    }))
+  }
+}
@@ -0,0 +1,35 @@
+// Referral bookkeeping behind the `t.me/<bot>?start=<userId>` invite link.
+// Fee share is accounting only: it records what a referrer earned from their referees' trade
+// volume (TRADE_FEE_BPS of the OKB traded, REFERRAL_SHARE_PCT of that fee); payouts are manual.
+
+// start 参数只接受正整数用户 id
+export function parseReferrer(payload) {
+  const raw = String(payload || '').trim()
+  if (!/^\d{1,15}$/.test(raw)) return null
+  const id = Number(raw)
+  return id > 0 ? id : null
+}
+
+// 返回拒绝原因，可记录时返回 null
+export function checkReferral({ referrer, referee, alreadyReferred, existingUser, referrerKnown }) {
+  if (!referrer) return 'invalid'
+  if (referrer === referee) return 'self'
+  if (alreadyReferred) return 'duplicate'
+  if (existingUser) return 'existing'
+  if (!referrerKnown) return 'unknown_referrer'
+  return null
+}
+
+export function createReferralEarnings() {
+  return { volumeWei: '0', feeShareWei: '0', trades: 0 }
+}
+
+// 被邀请人成交后为邀请人记账（金额以 wei 字符串保存）
+export function accrueReferral(earnings, okbWei, feeBps, sharePct) {
+  const volume = BigInt(okbWei)
+  const share = (volume * BigInt(feeBps) * BigInt(Math.round(sharePct * 100))) / 100_000_000n
+  earnings.volumeWei = (BigInt(earnings.volumeWei) + volume).toString()
+  earnings.feeShareWei = (BigInt(earnings.feeShareWei) + share).toString()
+  earnings.trades++
+  return share
+}
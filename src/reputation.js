@@ -0,0 +1,115 @@
+// Deployer reputation and rug-risk scoring for new PumpTokens.
+// Reputation looks at the deployer's earlier tokens (from the local deploy index, which covers the
+// factory history from the first backfilled block on); contract checks look for an owner that has
+// not renounced, upgradeable proxies and transfers that revert.
+
+import { ethers } from 'ethers'
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address, uint256) returns (bool)'
+]
+const OWNABLE_ABI = [ 'function owner() view returns (address)' ]
+// 常见的特权函数，按选择器在字节码中查找
+const PRIVILEGED_SIGNATURES = [
+  'mint(address,uint256)',
+  'pause()',
+  'blacklist(address)',
+  'addToBlacklist(address)',
+  'setMaxTxAmount(uint256)',
+  'setFee(uint256)',
+  'setTaxFee(uint256)',
+  'excludeFromFee(address)'
+]
+const PRIVILEGED_SELECTORS = PRIVILEGED_SIGNATURES.map((sig) => [sig.split('(')[0], ethers.id(sig).slice(2, 10)])
+// 放弃所有权后常见的 owner 地址
+const RENOUNCED_OWNERS = [ ethers.ZeroAddress, '0x000000000000000000000000000000000000dEaD' ]
+const EIP1967_IMPL_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+const MIN_LIQUID_OKB = 0.5 // 池子储备低于该值视为已无流动性
+const MAX_PREVIOUS_CHECKED = 5
+
+// 纯函数：根据历史与合约检查结果计算 0-100 的风险分
+export function scoreRisk({ previous = 0, devSold = 0, dead = 0, flags = [] }) {
+  let score = 0
+  score += Math.min(devSold * 15, 45)
+  score += Math.min(dead * 10, 30)
+  if (previous > 5) score += 10
+  if (flags.includes('owner')) score += 15
+  if (flags.includes('proxy')) score += 20
+  if (flags.includes('transfer_reverts')) score += 30
+  score += Math.min(flags.filter((f) => f.startsWith('fn:')).length * 10, 30)
+  return Math.min(score, 100)
+}
+
+export function riskLevel(score) {
+  if (score >= 60) return 'high'
+  if (score >= 30) return 'medium'
+  return 'low'
+}
+
+export function createReputationService({ provider, prices, factoryAddr = null }) {
+  // owner 为零地址、黑洞地址或工厂本身时不视为风险
+  const harmlessOwners = new Set([ ...RENOUNCED_OWNERS, ...(factoryAddr ? [factoryAddr] : []) ].map((a) => a.toLowerCase()))
+
+  // 早期代币的结局：'liquid' | 'dev_sold' | 'dead'
+  async function tokenOutcome(tokenAddr, deployer) {
+    const token = new ethers.Contract(tokenAddr, ERC20_ABI, provider)
+    const [pool, devBalance] = await Promise.all([
+      prices.findPool(tokenAddr).catch(() => null),
+      token.balanceOf(deployer).catch(() => null)
+    ])
+    const reserveOkb = pool ? Number(ethers.formatEther(pool.reserveWokb)) : 0
+    if (reserveOkb < MIN_LIQUID_OKB) return 'dead'
+    if (devBalance === 0n) return 'dev_sold'
+    return 'liquid'
+  }
+
+  async function contractFlags(tokenAddr, deployer) {
+    const flags = []
+    const [code, implSlot, owner] = await Promise.all([
+      provider.getCode(tokenAddr).catch(() => '0x'),
+      provider.getStorage(tokenAddr, EIP1967_IMPL_SLOT).catch(() => ethers.ZeroHash),
+      new ethers.Contract(tokenAddr, OWNABLE_ABI, provider).owner().catch(() => ethers.ZeroAddress)
+    ])
+    if (!harmlessOwners.has(owner.toLowerCase())) flags.push('owner')
+    if (implSlot !== ethers.ZeroHash) flags.push('proxy')
+    const bytecode = code.toLowerCase()
+    for (const [name, selector] of PRIVILEGED_SELECTORS) {
+      if (bytecode.includes(selector)) flags.push(`fn:${name}`)
+    }
+    // 模拟部署者转出 1 个最小单位，回滚说明转账逻辑非标准
+    if (deployer) {
+      const token = new ethers.Contract(tokenAddr, ERC20_ABI, provider)
+      const balance = await token.balanceOf(deployer).catch(() => 0n)
+      if (balance > 0n) {
+        const ok = await token.transfer.staticCall(ethers.Wallet.createRandom().address, 1n, { from: deployer })
+          .then(() => true, () => false)
+        if (!ok) flags.push('transfer_reverts')
+      }
+    }
+    return flags
+  }
+
+  // previousTokens: 部署者此前的代币地址（旧 → 新）；部署者未知时 previous 为 null
+  async function assess(tokenAddr, deployer, previousTokens = []) {
+    const checked = previousTokens.slice(-MAX_PREVIOUS_CHECKED)
+    const [outcomes, flags] = await Promise.all([
+      deployer ? Promise.all(checked.map((t) => tokenOutcome(t, deployer).catch(() => null))) : [],
+      contractFlags(tokenAddr, deployer).catch(() => [])
+    ])
+    const count = (o) => outcomes.filter((x) => x === o).length
+    const result = {
+      previous: deployer ? previousTokens.length : null,
+      checked: checked.length,
+      liquid: count('liquid'),
+      devSold: count('dev_sold'),
+      dead: count('dead'),
+      flags
+    }
+    result.score = scoreRisk(result)
+    result.level = riskLevel(result.score)
+    return result
+  }
+
+  return { assess }
+}
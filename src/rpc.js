@@ -0,0 +1,79 @@
+// RPC endpoint pool with failover and retry/backoff.
+// `call(fn)` runs fn against the active endpoint and rotates to the next one on errors;
+// `provider` is a read/write provider over the same endpoints for contract calls and trading.
+
+import { ethers } from 'ethers'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export function backoffDelay(attempt, baseDelay = 500, maxDelay = 30_000) {
+  return Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempt - 1))
+}
+
+// 仅显示主机名，避免在状态/日志中泄露带 API key 的 URL
+export function endpointLabel(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return 'rpc'
+  }
+}
+
+function connect(url, network) {
+  return /^wss?:/i.test(url)
+    ? new ethers.WebSocketProvider(url, network)
+    : new ethers.JsonRpcProvider(url, network, { staticNetwork: network })
+}
+
+export function createRpcPool(urls, { chainId, retries = 3, baseDelay = 500, maxDelay = 10_000 } = {}) {
+  const list = urls.map((url) => url.trim()).filter(Boolean)
+  if (!list.length) throw new Error('No RPC endpoints configured')
+  const network = chainId ? ethers.Network.from(Number(chainId)) : undefined
+  const endpoints = list.map((url) => ({ url, label: endpointLabel(url), provider: connect(url, network), errors: 0, lastError: null }))
+  const stats = { errors: 0, failovers: 0 }
+  let active = 0
+
+  const provider = endpoints.length > 1
+    ? new ethers.FallbackProvider(endpoints.map((e, i) => ({ provider: e.provider, priority: i + 1, stallTimeout: 2000 })), network, { quorum: 1 })
+    : endpoints[0].provider
+
+  function current() {
+    return endpoints[active].provider
+  }
+
+  function failover() {
+    if (endpoints.length < 2) return
+    active = (active + 1) % endpoints.length
+    stats.failovers++
+  }
+
+  async function call(fn, { retries: maxRetries = retries } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const endpoint = endpoints[active]
+      try {
+        return await fn(endpoint.provider)
+      } catch (e) {
+        stats.errors++
+        endpoint.errors++
+        endpoint.lastError = e.shortMessage || e.message
+        failover()
+        if (attempt > maxRetries) throw e
+        await sleep(backoffDelay(attempt, baseDelay, maxDelay))
+      }
+    }
+  }
+
+  return {
+    provider,
+    endpoints,
+    stats,
+    call,
+    // 范围错误不宜反复重试：仅切换节点重试一次，由 getLogsChunked 负责缩小范围
+    getLogs: (filter) => call((p) => p.getLogs(filter), { retries: 1 }),
+    current,
+    failover,
+    get activeLabel() {
+      return endpoints[active].label
+    }
+  }
+}
@@ -0,0 +1,60 @@
+// Auto-snipe rules: match newly deployed PumpTokens and track per-rule spend caps.
+// Rules are plain JSON objects so they persist through storage unchanged.
+
+import { hasMediaLink, matchesAnyKeyword } from './filters.js'
+
+export function createSnipeRule(id) {
+  return {
+    id,
+    enabled: false,
+    dryRun: true,
+    amountOkb: 0.1,
+    devBuyMin: null, // OKB
+    devBuyMax: null, // OKB
+    requireMedia: false,
+    include: [], // 关键词（命中任一即可）
+    exclude: [], // 关键词（命中任一即跳过）
+    ruleCapOkb: 1, // 该规则累计花费上限
+    dailyCapOkb: 0.5, // 该规则每日（UTC）花费上限
+    spentOkb: 0,
+    spentTodayOkb: 0,
+    spentDay: ''
+  }
+}
+
+// deploy: { addr, devBuyOkb, symbol, description, website, telegram, twitter }
+export function matchesSnipeRule(rule, deploy) {
+  if (rule.devBuyMin !== null && deploy.devBuyOkb < rule.devBuyMin) return false
+  if (rule.devBuyMax !== null && deploy.devBuyOkb > rule.devBuyMax) return false
+  if (rule.requireMedia && !hasMediaLink(deploy)) return false
+  if (rule.include.length > 0 && !matchesAnyKeyword(deploy, rule.include)) return false
+  if (matchesAnyKeyword(deploy, rule.exclude)) return false
+  return true
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10)
+}
+
+export function spentToday(rule, now = Date.now()) {
+  return rule.spentDay === utcDay(now) ? rule.spentTodayOkb : 0
+}
+
+// 返回超限原因（'rule_cap' | 'daily_cap'），未超限返回 null
+export function checkSpendCaps(rule, amountOkb, now = Date.now()) {
+  const today = spentToday(rule, now)
+  if (rule.spentOkb + amountOkb > rule.ruleCapOkb) return 'rule_cap'
+  if (today + amountOkb > rule.dailyCapOkb) return 'daily_cap'
+  return null
+}
+
+// 下单前预占额度，交易失败时用负数退回
+export function recordSpend(rule, amountOkb, now = Date.now()) {
+  const day = utcDay(now)
+  if (rule.spentDay !== day) {
+    rule.spentDay = day
+    rule.spentTodayOkb = 0
+  }
+  rule.spentOkb = Math.max(0, rule.spentOkb + amountOkb)
+  rule.spentTodayOkb = Math.max(0, rule.spentTodayOkb + amountOkb)
+}
@@ -0,0 +1,75 @@
+// Pluggable key/value storage for bot state.
+// Drivers: 'json' (default, single JSON file on disk) and 'memory' (no persistence).
+// A driver only needs get/set/delete/flush; add new ones (e.g. SQLite) to DRIVERS.
+
+import fs from 'fs'
+import path from 'path'
+
+const SAVE_DELAY = 1000 // 合并 1 秒内的多次写入
+
+function createMemoryStore() {
+  const data = new Map()
+  return {
+    async get(key) { return data.get(key) },
+    async set(key, value) { data.set(key, value) },
+    async delete(key) { data.delete(key) },
+    async flush() {}
+  }
+}
+
+function createJsonFileStore({ file }) {
+  let data = {}
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.log(`读取存储文件 ${file} 失败:`, e.message)
+  }
+
+  let timer = null
+  let writing = Promise.resolve()
+
+  // 先写临时文件再 rename，避免进程中途退出时留下半个文件
+  function writeNow() {
+    timer = null
+    const json = JSON.stringify(data)
+    writing = writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true })
+        const tmp = `${file}.tmp`
+        await fs.promises.writeFile(tmp, json)
+        await fs.promises.rename(tmp, file)
+      } catch (e) {
+        console.log(`写入存储文件 ${file} 失败:`, e.message)
+      }
+    })
+    return writing
+  }
+
+  function scheduleWrite() {
+    if (!timer) timer = setTimeout(writeNow, SAVE_DELAY)
+  }
+
+  return {
+    async get(key) { return data[key] },
+    async set(key, value) { data[key] = value; scheduleWrite() },
+    async delete(key) { delete data[key]; scheduleWrite() },
+    async flush() {
+      if (timer) {
+        clearTimeout(timer)
+        return writeNow()
+      }
+      return writing
+    }
+  }
+}
+
+const DRIVERS = {
+  json: createJsonFileStore,
+  memory: createMemoryStore
+}
+
+export function createStorage({ driver = 'json', file = './data/state.json' } = {}) {
+  const factory = DRIVERS[driver]
+  if (!factory) throw new Error(`Unknown storage driver: ${driver}`)
+  return factory({ file })
+}
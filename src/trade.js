@@ -0,0 +1,162 @@
+// Buy/sell PumpTokens with the shared bot wallet.
+// Routes through the UniswapV2-style DEX router once a token has a DEX pair, otherwise
+// trades directly against the PumpToken bonding curve. Trades run one at a time so the
+// shared wallet never races itself on nonces or balance reads.
+
+import { ethers } from 'ethers'
+
+const V2_ROUTER_ABI = [
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+]
+// PumpToken 联合曲线的买卖入口（OKB 原生币计价）。
+// 签名尚未对照 X Layer 浏览器上已验证的 PumpToken 源码核对；
+// 每笔交易广播前都会先 staticCall 预执行，签名或参数不对时在本地就报错，不会花掉 gas
+const PUMPTOKEN_CURVE_ABI = [
+  'function buy(uint256 minTokensOut) payable',
+  'function sell(uint256 amount, uint256 minOkbOut)'
+]
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address, address) view returns (uint256)',
+  'function approve(address, uint256) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]
+const ERC20_IFACE = new ethers.Interface(ERC20_ABI)
+
+const DEX_FEE_BPS = 30n
+const CURVE_FEE_BPS = 0n
+const DEADLINE_SECONDS = 300
+
+// 常数乘积报价
+function getAmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n
+  const inWithFee = amountIn * (10000n - feeBps)
+  return (inWithFee * reserveOut) / (reserveIn * 10000n + inWithFee)
+}
+
+// 从回执的 Transfer 日志统计实际成交的代币数量
+function sumTransfers(receipt, tokenAddr, { from, to }) {
+  let total = 0n
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== tokenAddr.toLowerCase()) continue
+    let parsed
+    try { parsed = ERC20_IFACE.parseLog(log) } catch { continue }
+    if (!parsed || parsed.name !== 'Transfer') continue
+    if (from && parsed.args[0].toLowerCase() !== from.toLowerCase()) continue
+    if (to && parsed.args[1].toLowerCase() !== to.toLowerCase()) continue
+    total += parsed.args[2]
+  }
+  return total
+}
+
+export function createTrader({ provider, wallet, prices, wokbAddr, dexRouter, slippageBps = 500, gasLimit = 500000 }) {
+  const router = dexRouter ? new ethers.Contract(dexRouter, V2_ROUTER_ABI, wallet) : null
+  let queue = Promise.resolve()
+
+  function serialize(fn) {
+    const run = queue.then(fn, fn)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  function withSlippage(amount) {
+    return (amount * (10000n - BigInt(slippageBps))) / 10000n
+  }
+
+  async function tokenInfo(tokenAddr) {
+    const token = new ethers.Contract(tokenAddr, ERC20_ABI, provider)
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => '?'),
+      token.decimals().catch(() => 18n)
+    ])
+    return { symbol, decimals: Number(decimals) }
+  }
+
+  async function findTradablePool(tokenAddr) {
+    const pool = await prices.findPool(tokenAddr)
+    if (!pool) throw new Error('No pool or bonding curve found for this token')
+    if (pool.type === 'dex' && !router) throw new Error('Token trades on a DEX pair but DEX_ROUTER is not configured')
+    return pool
+  }
+
+  async function quoteBuy(tokenAddr, okbIn) {
+    const [pool, info] = await Promise.all([findTradablePool(tokenAddr), tokenInfo(tokenAddr)])
+    const fee = pool.type === 'dex' ? DEX_FEE_BPS : CURVE_FEE_BPS
+    const expectedOut = getAmountOut(okbIn, pool.reserveWokb, pool.reserveToken, fee)
+    if (expectedOut === 0n) throw new Error('Pool has no liquidity')
+    return { side: 'buy', token: tokenAddr, ...info, pool, amountIn: okbIn, expectedOut, minOut: withSlippage(expectedOut) }
+  }
+
+  // percent 为钱包持仓百分比；传 amount 时按指定数量卖出（不超过钱包余额）
+  async function quoteSell(tokenAddr, percent, amount = null) {
+    const token = new ethers.Contract(tokenAddr, ERC20_ABI, provider)
+    const [pool, info, balance] = await Promise.all([
+      findTradablePool(tokenAddr),
+      tokenInfo(tokenAddr),
+      token.balanceOf(wallet.address)
+    ])
+    const amountIn = amount !== null
+      ? (amount > balance ? balance : amount)
+      : (balance * BigInt(Math.round(percent * 100))) / 10000n
+    if (amountIn === 0n) throw new Error('Wallet holds none of this token')
+    const fee = pool.type === 'dex' ? DEX_FEE_BPS : CURVE_FEE_BPS
+    const expectedOut = getAmountOut(amountIn, pool.reserveToken, pool.reserveWokb, fee)
+    return { side: 'sell', token: tokenAddr, ...info, pool, amountIn, expectedOut, minOut: withSlippage(expectedOut) }
+  }
+
+  function deadline() {
+    return Math.floor(Date.now() / 1000) + DEADLINE_SECONDS
+  }
+
+  // 先用 staticCall 按当前状态预执行；固定 gasLimit 跳过了 estimateGas，这一步替它把会回滚的交易拦在广播之前
+  async function send(method, args) {
+    try {
+      await method.staticCall(...args)
+    } catch (e) {
+      throw new Error(`Preflight failed, transaction not sent: ${e.shortMessage || e.message}`)
+    }
+    return method(...args)
+  }
+
+  // 返回 { txHash, okbIn, tokensOut }
+  function buy(quote) {
+    return serialize(async () => {
+      const overrides = { value: quote.amountIn, gasLimit }
+      const tx = quote.pool.type === 'dex'
+        ? await send(router.swapExactETHForTokensSupportingFeeOnTransferTokens, [quote.minOut, [wokbAddr, quote.token], wallet.address, deadline(), overrides])
+        : await send(new ethers.Contract(quote.token, PUMPTOKEN_CURVE_ABI, wallet).buy, [quote.minOut, overrides])
+      const receipt = await tx.wait()
+      if (receipt.status !== 1) throw new Error(`Transaction reverted: ${tx.hash}`)
+      return { txHash: tx.hash, okbIn: quote.amountIn, tokensOut: sumTransfers(receipt, quote.token, { to: wallet.address }) }
+    })
+  }
+
+  // 返回 { txHash, tokensIn, okbOut }
+  function sell(quote) {
+    return serialize(async () => {
+      const token = new ethers.Contract(quote.token, ERC20_ABI, wallet)
+      if (quote.pool.type === 'dex') {
+        const allowance = await token.allowance(wallet.address, dexRouter)
+        if (allowance < quote.amountIn) await (await token.approve(dexRouter, ethers.MaxUint256)).wait()
+      }
+      const before = await provider.getBalance(wallet.address)
+      const tx = quote.pool.type === 'dex'
+        ? await send(router.swapExactTokensForETHSupportingFeeOnTransferTokens, [quote.amountIn, quote.minOut, [quote.token, wokbAddr], wallet.address, deadline(), { gasLimit }])
+        : await send(new ethers.Contract(quote.token, PUMPTOKEN_CURVE_ABI, wallet).sell, [quote.amountIn, quote.minOut, { gasLimit }])
+      const receipt = await tx.wait()
+      if (receipt.status !== 1) throw new Error(`Transaction reverted: ${tx.hash}`)
+      const after = await provider.getBalance(wallet.address, receipt.blockNumber)
+      const gasCost = receipt.gasUsed * (receipt.gasPrice || 0n)
+      return {
+        txHash: tx.hash,
+        tokensIn: sumTransfers(receipt, quote.token, { from: wallet.address }),
+        okbOut: after - before + gasCost
+      }
+    })
+  }
+
+  return { quoteBuy, quoteSell, buy, sell, address: wallet.address }
+}
@@ -0,0 +1,30 @@
+// Watched (copy-watch) wallets: entries kept per chat, plus the log topics used to
+// find their token transfers.
+
+import { ethers } from 'ethers'
+
+export const MAX_WATCHED_WALLETS = 20
+
+// 备注会出现在 HTML 消息中，去掉标记字符并限制长度
+export function cleanLabel(label) {
+  return String(label || '').replace(/[<>&]/g, '').trim().slice(0, 32)
+}
+
+export function createWatchedWallet(address, label = '', copyMaxOkb = 0.1) {
+  return {
+    address,
+    label: cleanLabel(label),
+    copyTrade: false, // 跟单：钱包买入时用机器人钱包跟买
+    copyMaxOkb, // 单次跟单上限（OKB）
+    addedAt: Date.now()
+  }
+}
+
+export function walletName(entry) {
+  return entry.label || `${entry.address.slice(0, 6)}…${entry.address.slice(-4)}`
+}
+
+// Transfer 事件的 from/to 是 indexed 参数，按 32 字节补齐后用于 topics 过滤
+export function walletTopics(addresses) {
+  return addresses.map((addr) => ethers.zeroPadValue(addr.toLowerCase(), 32))
+}
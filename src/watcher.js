@@ -0,0 +1,182 @@
+// Block watcher over an RPC pool (src/rpc.js).
+// Follows new blocks through the provider's block subscription and falls back to polling
+// when it stalls. Only blocks `confirmations` deep are scanned; the hash of each processed
+// range end is remembered so a deeper reorg rewinds the cursor and rescans.
+
+import { getLogsChunked } from './logs.js'
+import { backoffDelay } from './rpc.js'
+
+const MAX_TRACKED_HASHES = 128
+const REORG_REWIND = 64 // 找不到共同祖先时的回退深度
+
+export function createBlockWatcher({
+  rpc,
+  filter, // getLogs filter (or array of filters), or a function returning them when the watched set changes
+  getCursor,
+  setCursor,
+  onLogs,
+  onReorg = () => {},
+  onError = () => {},
+  confirmations = 2,
+  maxRange = 1000, // 每轮最多扫描的区块数，落后更多时分多轮追赶
+  chunkSize = 1000,
+  pollInterval = 5000,
+  stallTimeout = 30_000
+}) {
+  const hashes = new Map() // blockNumber -> hash of processed range ends
+  const stats = {
+    mode: 'subscription', // 'subscription' | 'polling'
+    head: 0,
+    lag: 0,
+    errors: 0,
+    reorgs: 0,
+    resubscribes: 0,
+    consecutiveErrors: 0,
+    lastError: null,
+    lastErrorAt: 0,
+    lastTickAt: 0,
+    lastBlockEventAt: 0
+  }
+  let subscribed = null
+  let timer = null
+  let running = false
+  let again = false
+  let retryAt = 0
+
+  function onBlock() {
+    stats.lastBlockEventAt = Date.now()
+    if (stats.mode === 'polling') stats.mode = 'subscription'
+    schedule()
+  }
+
+  function subscribe() {
+    if (subscribed) subscribed.off('block', onBlock)
+    subscribed = rpc.current()
+    subscribed.on('block', onBlock)
+    stats.lastBlockEventAt = Date.now()
+  }
+
+  function schedule() {
+    if (running) {
+      again = true
+      return
+    }
+    running = true
+    tick().finally(() => {
+      running = false
+      if (again) {
+        again = false
+        schedule()
+      }
+    })
+  }
+
+  // 多个过滤条件分别查询，合并后按链上顺序去重
+  async function fetchLogs(from, to) {
+    const filters = [].concat(typeof filter === 'function' ? filter() : filter)
+    const seen = new Set()
+    const logs = []
+    for (const f of filters) {
+      for (const log of await getLogsChunked(rpc, f, from, to, { chunkSize })) {
+        const key = `${log.transactionHash}:${log.index}`
+        if (seen.has(key)) continue
+        seen.add(key)
+        logs.push(log)
+      }
+    }
+    return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+  }
+
+  async function blockHash(bn) {
+    const block = await rpc.call((p) => p.getBlock(bn))
+    return block?.hash || null
+  }
+
+  // 检查已处理区块的哈希是否仍在主链上；否则回退到最近的共同祖先
+  async function checkReorg(cursor) {
+    const known = hashes.get(cursor)
+    if (!known || (await blockHash(cursor)) === known) return cursor
+    let ancestor = Math.max(0, cursor - REORG_REWIND)
+    const tracked = [...hashes.keys()].filter((bn) => bn < cursor).sort((a, b) => b - a)
+    for (const bn of tracked) {
+      if ((await blockHash(bn)) === hashes.get(bn)) {
+        ancestor = bn
+        break
+      }
+    }
+    for (const bn of [...hashes.keys()]) if (bn > ancestor) hashes.delete(bn)
+    stats.reorgs++
+    await onReorg(ancestor, cursor)
+    setCursor(ancestor)
+    return ancestor
+  }
+
+  async function tick() {
+    if (Date.now() < retryAt) return
+    try {
+      const head = await rpc.call((p) => p.getBlockNumber())
+      stats.head = head
+      const safe = head - confirmations
+      let cursor = getCursor()
+      if (!cursor) {
+        cursor = safe
+        setCursor(cursor)
+      }
+      cursor = await checkReorg(cursor)
+      const from = cursor + 1
+      const to = Math.min(safe, cursor + maxRange)
+      if (from <= to) {
+        const logs = await fetchLogs(from, to)
+        await onLogs(logs, from, to)
+        setCursor(to)
+        const hash = await blockHash(to).catch(() => null)
+        if (hash) hashes.set(to, hash)
+        while (hashes.size > MAX_TRACKED_HASHES) hashes.delete(hashes.keys().next().value)
+        if (to < safe) again = true
+      }
+      stats.lag = Math.max(0, head - getCursor())
+      stats.lastTickAt = Date.now()
+      stats.consecutiveErrors = 0
+    } catch (e) {
+      stats.errors++
+      stats.consecutiveErrors++
+      stats.lastError = e.shortMessage || e.message
+      stats.lastErrorAt = Date.now()
+      retryAt = Date.now() + backoffDelay(stats.consecutiveErrors, pollInterval)
+      onError(e)
+    }
+  }
+
+  // 订阅停止推送新区块时切换到轮询，并尝试在当前（可能已切换的）节点上重新订阅
+  function poll() {
+    const stalled = Date.now() - stats.lastBlockEventAt > stallTimeout
+    if (stalled || subscribed !== rpc.current()) {
+      if (stalled) stats.mode = 'polling'
+      try {
+        subscribe()
+        stats.resubscribes++
+      } catch (e) {
+        stats.lastError = e.message
+      }
+    }
+    if (stats.mode === 'polling') schedule()
+  }
+
+  return {
+    stats,
+    start() {
+      subscribe()
+      timer = setInterval(poll, pollInterval)
+      schedule()
+    },
+    stop() {
+      clearInterval(timer)
+      if (subscribed) subscribed.off('block', onBlock)
+      subscribed = null
+    },
+    tick: schedule,
+    get confirmations() {
+      return confirmations
+    }
+  }
+}
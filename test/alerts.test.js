@@ -0,0 +1,153 @@
+// Market cap alerts: rules added with /alert and edited through the alert callbacks and target
+// prompt fire when the curve market cap on the local chain crosses them.
+// The mock curve's market cap is its OKB reserve times OKB_USD ($50): 1 OKB dev buy = $50.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, i18n } from './helpers/harness.js'
+import { user, messageUpdate, callbackUpdate } from './helpers/telegram.js'
+
+const ALICE = 1001
+const BOB = 1002
+const GROUP = -5001
+
+let h
+let token
+
+before(async () => {
+  h = await createHarness({ chatMembers: { [`${GROUP}:${ALICE}`]: 'administrator' } })
+  for (const id of [ALICE, BOB]) await h.send(messageUpdate(id, user(id), '/start'))
+  token = await h.chain.launch({ symbol: 'ALRT', devBuy: '1' })
+  await h.synced()
+})
+
+after(() => h?.close())
+
+const alertsTo = (chatId) => h.telegram.messagesTo(chatId)
+  .filter((m) => m.text.includes(i18n.t('en', 'alerts.message.title')) && m.text.includes(token))
+
+async function check() {
+  await h.app.checkMarketCapAlerts()
+  await h.app.outbox.drain(5000)
+}
+
+test('a USD target fires once the market cap crosses it, then stays disarmed', async () => {
+  await h.send(messageUpdate(ALICE, user(ALICE), `/alert ${token} 200`))
+  const rule = h.app.state.marketCapAlerts.get(token).users.get(ALICE)
+  assert.equal(rule.direction, 'above')
+  assert.equal(rule.targetUsd, 200)
+
+  await h.chain.pump(token, '1') // $100
+  await check()
+  assert.equal(alertsTo(ALICE).length, 0)
+
+  await h.chain.pump(token, '3') // $250
+  await check()
+  assert.equal(alertsTo(ALICE).length, 1)
+  assert.equal(rule.armed, false)
+  assert.equal(h.app.state.botStats.alertsFired, 1)
+
+  await check()
+  assert.equal(alertsTo(ALICE).length, 1)
+})
+
+test('a percentage rule fires on a move from the market cap it was set at', async () => {
+  await h.send(messageUpdate(BOB, user(BOB), `/alert ${token} 40%`))
+  const rule = h.app.state.marketCapAlerts.get(token).users.get(BOB)
+  assert.equal(rule.direction, 'move')
+  assert.ok(Math.abs(rule.baseMcUsd - 250) < 1)
+
+  await h.chain.pump(token, '2.5') // $375, +50%
+  await check()
+  assert.equal(alertsTo(BOB).length, 1)
+  assert.ok(Math.abs(rule.baseMcUsd - 375) < 1)
+})
+
+test('the re-arm button arms a fired rule again', async () => {
+  await h.send(callbackUpdate(ALICE, user(ALICE), `al_arm_${token}`))
+  assert.equal(h.app.state.marketCapAlerts.get(token).users.get(ALICE).armed, true)
+  await check()
+  assert.equal(alertsTo(ALICE).length, 2)
+})
+
+test('the target prompt keeps waiting after an invalid reply and applies a valid one', async () => {
+  await h.send(callbackUpdate(ALICE, user(ALICE), `al_set_${token}`))
+  const prompt = h.lastPrompt(ALICE)
+  assert.equal(prompt.text, i18n.t('en', 'alerts.edit.prompt'))
+
+  await h.send(messageUpdate(ALICE, user(ALICE), 'lots', { replyTo: prompt }))
+  assert.ok(h.telegram.messagesTo(ALICE).some((m) => m.text === i18n.t('en', 'common.invalidReply')))
+  assert.ok(h.app.state.pendingReplies.has(`${ALICE}:${prompt.message_id}`))
+
+  await h.send(messageUpdate(ALICE, user(ALICE), '1k', { replyTo: prompt }))
+  const rule = h.app.state.marketCapAlerts.get(token).users.get(ALICE)
+  assert.equal(rule.targetUsd, 1000)
+  assert.equal(rule.direction, 'above')
+  assert.equal(h.app.state.pendingReplies.has(`${ALICE}:${prompt.message_id}`), false)
+
+  await check()
+  assert.equal(alertsTo(ALICE).length, 2)
+})
+
+test('in groups only admins manage alerts and only the admin who opened a prompt can answer it', async () => {
+  await h.send(messageUpdate(GROUP, user(BOB), `/alert ${token} 500`))
+  assert.ok(h.telegram.messagesTo(GROUP).some((m) => m.text === i18n.t('en', 'common.adminOnly')))
+  assert.equal(h.app.state.marketCapAlerts.get(token).users.has(GROUP), false)
+
+  await h.send(messageUpdate(GROUP, user(ALICE), `/alert ${token} 500`))
+  const rule = h.app.state.marketCapAlerts.get(token).users.get(GROUP)
+  assert.equal(rule.targetUsd, 500)
+
+  await h.send(callbackUpdate(GROUP, user(ALICE), `al_set_${token}`))
+  const prompt = h.lastPrompt(GROUP)
+  await h.send(messageUpdate(GROUP, user(BOB), '50', { replyTo: prompt }))
+  assert.equal(rule.targetUsd, 500)
+  await h.send(messageUpdate(GROUP, user(ALICE), '300', { replyTo: prompt }))
+  assert.equal(rule.targetUsd, 300)
+
+  await check()
+  assert.equal(alertsTo(GROUP).length, 1)
+})
+
+test('the bot refuses to start without an OKB/USD price source', async () => {
+  await assert.rejects(createHarness({ env: { WOKB_USD_PAIR: '' } }), /WOKB_USD_PAIR or DEX_FACTORY/)
+})
+
+test('when the OKB/USD price cannot be read, setting an alert warns that it cannot fire', async () => {
+  // 配置的交易对地址上没有合约，读取汇率失败
+  const bare = await createHarness({ env: { WOKB_USD_PAIR: '0x000000000000000000000000000000000000dEaD' } })
+  try {
+    await bare.send(messageUpdate(ALICE, user(ALICE), '/start'))
+    const bareToken = await bare.chain.launch({ symbol: 'NOUSD' })
+    await bare.synced()
+    await bare.send(messageUpdate(ALICE, user(ALICE), `/alert ${bareToken} 200`))
+    assert.ok(bare.telegram.messagesTo(ALICE).at(-1).text.endsWith(i18n.t('en', 'alerts.noUsdPrice')))
+  } finally {
+    await bare.close()
+  }
+})
+
+test('tokens stop being tracked once their one-shot alerts have fired or their pool goes quiet', async () => {
+  const idleMs = 1500
+  const short = await createHarness({ env: { ALERT_RETENTION_DAYS: '0', TOKEN_IDLE_DAYS: String(idleMs / 86_400_000) } })
+  try {
+    await short.send(messageUpdate(ALICE, user(ALICE), '/start'))
+    const fired = await short.chain.launch({ symbol: 'FIRED', devBuy: '1' })
+    const quiet = await short.chain.launch({ symbol: 'QUIET', devBuy: '1' })
+    await short.synced()
+    await short.send(messageUpdate(ALICE, user(ALICE), `/alert ${fired} 80`))
+    await short.send(messageUpdate(ALICE, user(ALICE), `/alert ${quiet} 1m`))
+
+    await short.chain.pump(fired, '1') // $100
+    await short.app.checkMarketCapAlerts()
+    assert.equal(short.app.state.botStats.alertsFired, 1)
+    assert.equal(short.app.state.marketCapAlerts.has(fired), false)
+    assert.equal(short.app.state.marketCapAlerts.has(quiet), true)
+
+    await new Promise((resolve) => setTimeout(resolve, idleMs))
+    await short.app.checkMarketCapAlerts()
+    assert.equal(short.app.state.marketCapAlerts.has(quiet), false)
+  } finally {
+    await short.close()
+  }
+})
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Minimal stand-ins for the X Layer contracts the bot reads: a PumpU factory that emits
+// `Deployed`, PumpTokens holding their own bonding-curve reserves, and a V2-style pair for
+// the OKB/USD price. Only the functions the bot calls are implemented.
+
+contract MockERC20 {
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    constructor(string memory _symbol, uint8 _decimals) {
+        name = _symbol;
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address to, uint256 value) public {
+        totalSupply += value;
+        balanceOf[to] += value;
+        emit Transfer(address(0), to, value);
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 value) internal {
+        require(balanceOf[from] >= value, "balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
+
+// Curve reserves live on the token itself: its own token balance and its native balance.
+contract MockPumpToken is MockERC20 {
+    string public description;
+    string public website;
+    string public telegram;
+    string public twitter;
+
+    constructor(
+        string memory _symbol,
+        string memory _description,
+        string memory _website,
+        string memory _telegram,
+        string memory _twitter,
+        uint256 supply
+    ) payable MockERC20(_symbol, 18) {
+        description = _description;
+        website = _website;
+        telegram = _telegram;
+        twitter = _twitter;
+        mint(address(this), supply);
+    }
+
+    // Constant-product curve over the token's own balances, matching the quotes of src/trade.js
+    // (no curve fee). Buying: OKB in, tokens out of the curve reserve.
+    function buy(uint256 minTokensOut) external payable {
+        uint256 okbReserve = address(this).balance - msg.value;
+        uint256 tokenReserve = balanceOf[address(this)];
+        uint256 out = (msg.value * tokenReserve) / (okbReserve + msg.value);
+        require(out >= minTokensOut, "slippage");
+        _transfer(address(this), msg.sender, out);
+    }
+
+    // Selling back into the curve: tokens in, OKB out.
+    function sell(uint256 amount, uint256 minOkbOut) external {
+        uint256 okbReserve = address(this).balance;
+        uint256 tokenReserve = balanceOf[address(this)];
+        uint256 out = (amount * okbReserve) / (tokenReserve + amount);
+        require(out >= minOkbOut, "slippage");
+        _transfer(msg.sender, address(this), amount);
+        payable(msg.sender).transfer(out);
+    }
+
+    receive() external payable {}
+}
+
+contract MockPumpFactory {
+    event Deployed(address indexed addr, uint256 amount);
+
+    uint256 public constant SUPPLY = 1_000_000_000 ether;
+
+    // msg.value seeds the curve and is reported as the dev buy, as on PumpU.
+    function deploy(
+        string calldata symbol,
+        string calldata description,
+        string calldata website,
+        string calldata telegram,
+        string calldata twitter
+    ) external payable returns (address) {
+        MockPumpToken token = new MockPumpToken{value: msg.value}(symbol, description, website, telegram, twitter, SUPPLY);
+        emit Deployed(address(token), msg.value);
+        return address(token);
+    }
+}
+
+contract MockPair {
+    address public token0;
+    address public token1;
+    uint112 private reserve0;
+    uint112 private reserve1;
+
+    constructor(address _token0, address _token1) {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function setReserves(uint112 _reserve0, uint112 _reserve1) external {
+        reserve0 = _reserve0;
+        reserve1 = _reserve1;
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, uint32(block.timestamp));
+    }
+}
@@ -0,0 +1,144 @@
+// Local chain for the tests: a `hardhat node` child process (or the node at TEST_RPC_URL, e.g. a
+// running anvil) with the mock contracts from test/contracts, compiled with solc-js.
+
+import fs from 'fs'
+import net from 'net'
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import solc from 'solc'
+import { ethers } from 'ethers'
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url))
+const HARDHAT_CLI = fileURLToPath(new URL('../../node_modules/hardhat/internal/cli/bootstrap.js', import.meta.url))
+const START_TIMEOUT = 60_000
+// ethers 会合并 250ms 内相同的 RPC 请求（余额、nonce 等），链上状态变化后需等过这段时间
+export const REQUEST_CACHE_MS = 300
+
+// hardhat 与 anvil 默认账户使用同一助记词
+export const TEST_MNEMONIC = 'test test test test test test test test test test test junk'
+export const OKB_USD = 50 // 模拟 WOKB/USDT 池子的价格
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export function testAccount(index, provider = null) {
+  return ethers.HDNodeWallet.fromPhrase(TEST_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(provider)
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+async function waitForRpc(url, child) {
+  const deadline = Date.now() + START_TIMEOUT
+  while (Date.now() < deadline) {
+    if (child && child.exitCode !== null) throw new Error(`hardhat node exited with code ${child.exitCode}`)
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+      })
+      if (res.ok) return
+    } catch {}
+    await sleep(250)
+  }
+  throw new Error(`Local chain at ${url} did not start within ${START_TIMEOUT / 1000}s`)
+}
+
+// 返回 { url, stop }；只停止自己启动的进程
+export async function startChain() {
+  if (process.env.TEST_RPC_URL) {
+    await waitForRpc(process.env.TEST_RPC_URL)
+    return { url: process.env.TEST_RPC_URL, stop: async () => {} }
+  }
+  const port = await freePort()
+  const child = spawn(process.execPath, [HARDHAT_CLI, 'node', '--hostname', '127.0.0.1', '--port', String(port)], {
+    cwd: ROOT,
+    stdio: 'ignore',
+    env: { ...process.env, HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' }
+  })
+  const exited = new Promise((resolve) => child.once('exit', resolve))
+  const stop = async () => {
+    if (child.exitCode === null) child.kill()
+    await exited
+  }
+  const url = `http://127.0.0.1:${port}`
+  try {
+    await waitForRpc(url, child)
+  } catch (e) {
+    await stop()
+    throw e
+  }
+  return { url, stop }
+}
+
+let compiled = null
+
+export function compileMocks() {
+  if (compiled) return compiled
+  const input = {
+    language: 'Solidity',
+    sources: { 'Mocks.sol': { content: fs.readFileSync(new URL('../contracts/Mocks.sol', import.meta.url), 'utf8') } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  }
+  const output = JSON.parse(solc.compile(JSON.stringify(input)))
+  const errors = (output.errors || []).filter((e) => e.severity === 'error')
+  if (errors.length) throw new Error(errors.map((e) => e.formattedMessage).join('\n'))
+  compiled = Object.fromEntries(Object.entries(output.contracts['Mocks.sol'])
+    .map(([name, c]) => [name, { abi: c.abi, bytecode: `0x${c.evm.bytecode.object}` }]))
+  return compiled
+}
+
+async function deployContract(signer, name, ...args) {
+  const { abi, bytecode } = compileMocks()[name]
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args)
+  await contract.waitForDeployment()
+  return contract
+}
+
+// 部署 WOKB、USDT、WOKB/USDT 池子（1 OKB = OKB_USD 美元）与 PumpU 工厂
+export async function deployMocks(url) {
+  const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true, pollingInterval: 250 })
+  const deployer = new ethers.NonceManager(testAccount(0, provider))
+  const wokb = await deployContract(deployer, 'MockERC20', 'WOKB', 18)
+  const usdt = await deployContract(deployer, 'MockERC20', 'USDT', 6)
+  const pair = await deployContract(deployer, 'MockPair', await wokb.getAddress(), await usdt.getAddress())
+  await (await pair.setReserves(ethers.parseEther('1000'), ethers.parseUnits(String(1000 * OKB_USD), 6))).wait()
+  const factory = await deployContract(deployer, 'MockPumpFactory')
+
+  // 发币：devBuy 作为联合曲线的初始 OKB 储备，上线市值 = devBuy * OKB_USD
+  async function launch({ symbol, description = '', website = '', telegram = '', twitter = '', devBuy = '1' }) {
+    const tx = await factory.deploy(symbol, description, website, telegram, twitter, { value: ethers.parseEther(devBuy) })
+    const receipt = await tx.wait()
+    const event = receipt.logs.map((log) => factory.interface.parseLog(log)).find((e) => e?.name === 'Deployed')
+    return event.args.addr
+  }
+
+  // 向曲线注入 OKB：代币储备不变，市值按比例上涨
+  // ethers 会合并 250ms 内相同的 RPC 请求，稍等片刻再返回，避免 bot 读到注入前的余额
+  async function pump(tokenAddr, okb) {
+    await (await deployer.sendTransaction({ to: tokenAddr, value: ethers.parseEther(okb) })).wait()
+    await sleep(REQUEST_CACHE_MS)
+  }
+
+  return {
+    provider,
+    deployer,
+    addresses: {
+      wokb: await wokb.getAddress(),
+      usdt: await usdt.getAddress(),
+      pair: await pair.getAddress(),
+      factory: await factory.getAddress()
+    },
+    launch,
+    pump,
+    close: () => provider.destroy()
+  }
+}
@@ -0,0 +1,84 @@
+// One bot instance wired to a local chain and the stub Bot API, as the entry point would wire it
+// to X Layer and Telegram. State is kept in memory; market cap checks run only when a test calls
+// app.checkMarketCapAlerts().
+
+import { fileURLToPath } from 'url'
+import { Telegraf } from 'telegraf'
+import { createApp } from '../../src/app.js'
+import { createRpcPool } from '../../src/rpc.js'
+import { createI18n } from '../../src/i18n.js'
+import { startChain, deployMocks, testAccount } from './chain.js'
+import { startTelegramStub } from './telegram.js'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Node 20 的测试运行器解析子进程 stdout 时，紧跟在报告消息后、第三个字节 ≥ 0x80 的输出（中文日志）
+// 会被当作消息长度读取，报 "Unable to deserialize cloned data"；bot 日志改写到 stderr
+console.log = console.error
+
+export const i18n = createI18n({ dir: fileURLToPath(new URL('../../locales', import.meta.url)) })
+
+export async function createHarness({ env = {}, chatMembers } = {}) {
+  const chain = await startChain()
+  const mocks = await deployMocks(chain.url)
+  const telegram = await startTelegramStub({ chatMembers })
+  const rpc = createRpcPool([chain.url], { chainId: 31337, retries: 1, baseDelay: 100 })
+  rpc.provider.pollingInterval = 250
+  const bot = new Telegraf('123456:TEST-TOKEN', { telegram: { apiRoot: telegram.apiRoot } })
+  const app = createApp({
+    env: {
+      TRADER_PRIVATE_KEY: testAccount(1).privateKey,
+      STORAGE_DRIVER: 'memory',
+      PUMPU_FACTORY: mocks.addresses.factory,
+      WOKB_ADDR: mocks.addresses.wokb,
+      WOKB_USD_PAIR: mocks.addresses.pair,
+      STABLE_ADDR: mocks.addresses.usdt,
+      CONFIRMATIONS: '0',
+      INITIAL_BACKFILL_BLOCKS: '100',
+      ...env
+    },
+    rpc,
+    bot,
+    mcCheckInterval: 0
+  })
+  try {
+    await app.start()
+  } catch (e) {
+    // 配置被拒绝时也要停掉已启动的本地链与 Bot API 桩
+    rpc.provider.destroy()
+    mocks.close()
+    await telegram.close()
+    await chain.stop()
+    throw e
+  }
+  await app.whenReady()
+
+  return {
+    app,
+    chain: mocks,
+    telegram,
+    send: (update) => bot.handleUpdate(update),
+    // 等到监听处理完当前区块、发送队列清空（此后不会再有这些区块引起的推送）
+    async synced(timeout = 20_000) {
+      const head = Number(await mocks.provider.send('eth_blockNumber', [])) // getBlockNumber() 有缓存
+      const deadline = Date.now() + timeout
+      while (app.lastProcessed < head) {
+        if (Date.now() > deadline) throw new Error(`Watcher did not reach block ${head} (at ${app.lastProcessed})`)
+        await sleep(100)
+      }
+      await app.outbox.drain(timeout)
+    },
+    // 最近一次 force_reply 提示（回复它即进入 pendingReplies 路由）
+    lastPrompt(chatId) {
+      const prompts = telegram.calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === chatId && c.payload.reply_markup?.force_reply)
+      return prompts[prompts.length - 1]?.result
+    },
+    async close() {
+      await app.stop(2000)
+      rpc.provider.destroy()
+      mocks.close()
+      await telegram.close()
+      await chain.stop()
+    }
+  }
+}
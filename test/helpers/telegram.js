@@ -0,0 +1,97 @@
+// Stub Telegram Bot API: a local HTTP server that Telegraf is pointed at through `apiRoot`.
+// Every call is recorded; sendMessage gets increasing message ids so force_reply prompts can be
+// answered. Incoming updates are built with the helpers below and fed to bot.handleUpdate().
+
+import http from 'http'
+
+export const BOT_USER = { id: 4242, is_bot: true, first_name: 'PumpU', username: 'pumpu_test_bot' }
+
+// chatMembers: { `${chatId}:${userId}`: 'administrator' | 'creator' | 'member' }
+export async function startTelegramStub({ chatMembers = {} } = {}) {
+  const calls = []
+  const waiters = new Set()
+  let messageId = 1000
+
+  function respond(method, payload) {
+    const chat = { id: payload.chat_id, type: payload.chat_id < 0 ? 'supergroup' : 'private' }
+    if (method === 'getMe') return BOT_USER
+    if (method === 'sendMessage') return { message_id: ++messageId, date: Math.floor(Date.now() / 1000), chat, from: BOT_USER, text: payload.text }
+    if (method === 'getChatMember') return { status: chatMembers[`${payload.chat_id}:${payload.user_id}`] || 'member', user: { id: payload.user_id } }
+    return true
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      const [, method] = req.url.match(/^\/bot[^/]+\/(\w+)/) || []
+      const payload = body ? JSON.parse(body) : {}
+      const result = respond(method, payload)
+      calls.push({ method, payload, result })
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({ ok: true, result }))
+      for (const check of waiters) check()
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  // 等待第一个满足条件的调用（含已发生的）
+  function waitFor(predicate, timeout = 20_000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const call = calls.find(predicate)
+        if (!call) return
+        waiters.delete(check)
+        clearTimeout(timer)
+        resolve(call)
+      }
+      const timer = setTimeout(() => {
+        waiters.delete(check)
+        reject(new Error(`Timed out waiting for a Telegram call (${calls.length} calls recorded)`))
+      }, timeout)
+      waiters.add(check)
+      check()
+    })
+  }
+
+  return {
+    apiRoot: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    waitFor,
+    waitForMessage: (chatId, match, timeout) => waitFor((c) => c.method === 'sendMessage' && c.payload.chat_id === chatId && match(c.payload.text), timeout),
+    messagesTo: (chatId) => calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === chatId).map((c) => c.result),
+    close: () => new Promise((resolve) => server.close(resolve))
+  }
+}
+
+let updateId = 1
+
+export function user(id, lang = 'en') {
+  return { id, is_bot: false, first_name: `user${id}`, language_code: lang }
+}
+
+function chatOf(chatId) {
+  return chatId < 0 ? { id: chatId, type: 'supergroup', title: 'group' } : { id: chatId, type: 'private', first_name: `user${chatId}` }
+}
+
+// 文本消息；以 / 开头时带上 bot_command 实体。replyTo 为被回复的消息（如 force_reply 提示）
+export function messageUpdate(chatId, from, text, { replyTo } = {}) {
+  const message = { message_id: updateId * 10, date: Math.floor(Date.now() / 1000), chat: chatOf(chatId), from, text }
+  const command = text.match(/^\/\w+/)
+  if (command) message.entities = [ { type: 'bot_command', offset: 0, length: command[0].length } ]
+  if (replyTo) message.reply_to_message = { message_id: replyTo.message_id, date: replyTo.date, chat: chatOf(chatId), from: BOT_USER, text: replyTo.text }
+  return { update_id: updateId++, message }
+}
+
+export function callbackUpdate(chatId, from, data, messageId = 1) {
+  return {
+    update_id: updateId++,
+    callback_query: {
+      id: String(updateId),
+      from,
+      chat_instance: String(chatId),
+      data,
+      message: { message_id: messageId, date: Math.floor(Date.now() / 1000), chat: chatOf(chatId), from: BOT_USER, text: '' }
+    }
+  }
+}
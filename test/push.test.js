@@ -0,0 +1,116 @@
+// Deploy pushes: a token launched through the mock factory reaches subscribed chats through the
+// block watcher, subject to each chat's push filters, notification switches and digest mode, and
+// /analyze reports on them.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, i18n } from './helpers/harness.js'
+import { user, messageUpdate, callbackUpdate } from './helpers/telegram.js'
+
+const ALICE = 1001
+const BOB = 1002
+const CAROL = 1003
+const DAVE = 1004
+
+let h
+
+before(async () => {
+  h = await createHarness()
+  for (const id of [ALICE, BOB, CAROL]) await h.send(messageUpdate(id, user(id), '/start'))
+})
+
+after(() => h?.close())
+
+const pushOf = (chatId, addr) => h.telegram.messagesTo(chatId).find((m) => m.text.includes(addr))
+
+test('/start subscribes the chat and shows the menu', () => {
+  assert.deepEqual([...h.app.state.subscribedUsers].sort(), [ALICE, BOB, CAROL])
+  assert.ok(h.telegram.messagesTo(ALICE).length > 0)
+})
+
+test('include keywords set through the filter prompt limit which deploys are pushed', async () => {
+  await h.send(callbackUpdate(BOB, user(BOB), 'pf_set_include'))
+  await h.send(messageUpdate(BOB, user(BOB), 'moon', { replyTo: h.lastPrompt(BOB) }))
+  assert.deepEqual(h.app.state.userPushPrefs.get(BOB).includeKeywords, ['moon'])
+
+  const moon = await h.chain.launch({ symbol: 'MOON', description: 'to the moon' })
+  const doge = await h.chain.launch({ symbol: 'DOGE', description: 'much wow' })
+  await h.synced()
+
+  assert.ok(pushOf(ALICE, moon))
+  assert.ok(pushOf(ALICE, doge))
+  assert.ok(pushOf(BOB, moon))
+  assert.equal(pushOf(BOB, doge), undefined)
+  const record = h.app.state.deployHistory.find((d) => d.addr === moon)
+  assert.equal(record.symbol, 'MOON')
+  assert.equal(record.devBuyOkb, 1)
+})
+
+test('dev buy range filter rejects launches outside the range', async () => {
+  await h.send(callbackUpdate(BOB, user(BOB), 'pf_set_include'))
+  await h.send(messageUpdate(BOB, user(BOB), '-', { replyTo: h.lastPrompt(BOB) }))
+  await h.send(callbackUpdate(BOB, user(BOB), 'pf_set_dev'))
+  await h.send(messageUpdate(BOB, user(BOB), '2-5', { replyTo: h.lastPrompt(BOB) }))
+  const prefs = h.app.state.userPushPrefs.get(BOB)
+  assert.deepEqual([prefs.devBuyMin, prefs.devBuyMax], [2, 5])
+
+  const small = await h.chain.launch({ symbol: 'SMALL', devBuy: '1' })
+  const big = await h.chain.launch({ symbol: 'BIG', devBuy: '3' })
+  await h.synced()
+  assert.ok(pushOf(BOB, big))
+  assert.equal(pushOf(BOB, small), undefined)
+})
+
+test('turning off deploy notifications or switching to digest mode stops per-deploy pushes', async () => {
+  await h.send(callbackUpdate(BOB, user(BOB), 'pf_reset'))
+  await h.send(callbackUpdate(BOB, user(BOB), 'nt_deploys'))
+  assert.equal(h.app.state.userPushPrefs.get(BOB).notify.deploys, false)
+  await h.send(callbackUpdate(CAROL, user(CAROL), 'nt_digest'))
+  assert.equal(h.app.state.userPushPrefs.get(CAROL).digest, 'hourly')
+
+  const quiet = await h.chain.launch({ symbol: 'QUIET' })
+  await h.synced()
+  assert.ok(pushOf(ALICE, quiet))
+  assert.equal(pushOf(BOB, quiet), undefined)
+  assert.equal(pushOf(CAROL, quiet), undefined)
+})
+
+test('/stop unsubscribes the chat', async () => {
+  await h.send(messageUpdate(ALICE, user(ALICE), '/stop'))
+  assert.equal(h.app.state.subscribedUsers.has(ALICE), false)
+
+  const late = await h.chain.launch({ symbol: 'LATE' })
+  await h.synced()
+  assert.ok(h.app.state.deployHistory.some((d) => d.addr === late))
+  assert.equal(pushOf(ALICE, late), undefined)
+})
+
+test('/analyze answers after the update returns and finds the launch in the local index', async () => {
+  const token = await h.chain.launch({ symbol: 'SCAN', devBuy: '2' })
+  await h.synced()
+  await h.send(messageUpdate(BOB, user(BOB), `/analyze ${token}`))
+  const report = await h.telegram.waitForMessage(BOB, (text) => text.startsWith(i18n.t('en', 'analyze.title')))
+  const block = h.app.state.deployHistory.find((d) => d.addr === token).blockNumber
+  assert.ok(report.payload.text.includes(i18n.t('en', 'analyze.deployBlock', { block })))
+  assert.ok(report.payload.text.includes(i18n.t('en', 'analyze.devBuy', { okb: '2.0' })))
+})
+
+test('/analyze of a contract the factory never deployed reports no Deployed event', async () => {
+  await h.send(messageUpdate(BOB, user(BOB), `/analyze ${h.chain.addresses.usdt}`))
+  const report = await h.telegram.waitForMessage(BOB, (text) => text.startsWith(i18n.t('en', 'analyze.title')) && text.includes(h.chain.addresses.usdt))
+  assert.ok(report.payload.text.includes(i18n.t('en', 'analyze.noDeploy')))
+})
+
+test('token metadata is HTML-escaped in pushes and in /analyze', async () => {
+  await h.send(messageUpdate(DAVE, user(DAVE), '/start'))
+  const token = await h.chain.launch({ symbol: 'A<B', description: 'fish & <chips>', website: '<https://x>' })
+  await h.synced()
+  const push = pushOf(DAVE, token)
+  assert.ok(push.text.includes('A&lt;B'))
+  assert.ok(push.text.includes('fish &amp; &lt;chips&gt;'))
+  assert.ok(!push.text.includes('<chips>'))
+
+  await h.send(messageUpdate(DAVE, user(DAVE), `/analyze ${token}`))
+  const report = await h.telegram.waitForMessage(DAVE, (text) => text.startsWith(i18n.t('en', 'analyze.title')) && text.includes(token))
+  assert.ok(report.payload.text.includes('&lt;https://x&gt;'))
+})
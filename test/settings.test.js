@@ -0,0 +1,120 @@
+// Menu callbacks and force_reply prompts: language selection, notification settings, admin-only
+// settings in groups, referrals from /start payloads, the digest and /top reports, and admin broadcasts.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, i18n } from './helpers/harness.js'
+import { BOT_USER, user, messageUpdate, callbackUpdate } from './helpers/telegram.js'
+
+const ALICE = 1001
+const BOB = 1002
+const CAROL = 1003
+const GROUP = -5002
+
+let h
+
+before(async () => {
+  h = await createHarness({ env: { ADMIN_IDS: String(ALICE) }, chatMembers: { [`${GROUP}:${ALICE}`]: 'creator' } })
+  await h.send(messageUpdate(ALICE, user(ALICE), '/start'))
+})
+
+after(() => h?.close())
+
+const lastMessage = (chatId) => h.telegram.messagesTo(chatId).at(-1)
+
+test('the menu carries an invite link built from getMe', () => {
+  assert.ok(lastMessage(ALICE).text.includes(`https://t.me/${BOT_USER.username}?start=${ALICE}`))
+})
+
+test('/start with a referrer id records the referral for a new user only', async () => {
+  await h.send(messageUpdate(BOB, user(BOB), `/start ${ALICE}`))
+  await h.send(messageUpdate(ALICE, user(ALICE), `/start ${BOB}`))
+  await h.app.outbox.drain(5000)
+  assert.equal(h.app.state.referrals.get(BOB).referrer, ALICE)
+  assert.equal(h.app.state.referrals.has(ALICE), false)
+  assert.ok(h.telegram.messagesTo(ALICE).some((m) => m.text === i18n.t('en', 'referrals.joined', { count: 1 })))
+})
+
+test('a new chat starts in the language Telegram reports, and the language menu switches it', async () => {
+  await h.send(messageUpdate(CAROL, user(CAROL, 'zh-hans'), '/start'))
+  assert.equal(h.app.state.userPushPrefs.get(CAROL).lang, 'zh')
+  assert.ok(lastMessage(CAROL).text.endsWith(i18n.t('zh', 'menu.title')))
+
+  await h.send(callbackUpdate(CAROL, user(CAROL), 'm_lang'))
+  const options = h.telegram.calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === CAROL).at(-1).payload.reply_markup.inline_keyboard.flat()
+  assert.ok(options.some((b) => b.callback_data === 'lang_en'))
+
+  await h.send(callbackUpdate(CAROL, user(CAROL), 'lang_en'))
+  assert.equal(h.app.state.userPushPrefs.get(CAROL).lang, 'en')
+  assert.ok(lastMessage(CAROL).text.endsWith(i18n.t('en', 'menu.title')))
+})
+
+test('the large trade prompt rejects invalid input and is consumed by a valid reply', async () => {
+  await h.send(callbackUpdate(ALICE, user(ALICE), 'nt_trade_set'))
+  const prompt = h.lastPrompt(ALICE)
+  assert.equal(prompt.text, i18n.t('en', 'notify.promptTrade'))
+
+  await h.send(messageUpdate(ALICE, user(ALICE), '-3', { replyTo: prompt }))
+  assert.equal(lastMessage(ALICE).text, i18n.t('en', 'common.positiveNumber'))
+  assert.equal(h.app.state.userPushPrefs.get(ALICE).largeTradeOkb, null)
+
+  await h.send(messageUpdate(ALICE, user(ALICE), '5', { replyTo: prompt }))
+  assert.equal(h.app.state.userPushPrefs.get(ALICE).largeTradeOkb, 5)
+  assert.equal(h.app.state.pendingReplies.has(`${ALICE}:${prompt.message_id}`), false)
+
+  // 已处理的提示不再路由，再次回复不会改动设置
+  await h.send(messageUpdate(ALICE, user(ALICE), '9', { replyTo: prompt }))
+  assert.equal(h.app.state.userPushPrefs.get(ALICE).largeTradeOkb, 5)
+
+  await h.send(callbackUpdate(ALICE, user(ALICE), 'nt_trade_clear'))
+  assert.equal(h.app.state.userPushPrefs.get(ALICE).largeTradeOkb, null)
+})
+
+test('group settings callbacks are limited to chat admins', async () => {
+  await h.send(callbackUpdate(GROUP, user(BOB), 'nt_alerts'))
+  const denied = h.telegram.calls.filter((c) => c.method === 'answerCallbackQuery').at(-1)
+  assert.equal(denied.payload.text, i18n.t('en', 'common.adminOnly'))
+  assert.equal(denied.payload.show_alert, true)
+  assert.equal(h.app.state.userPushPrefs.get(GROUP)?.notify.alerts ?? true, true)
+
+  await h.send(callbackUpdate(GROUP, user(ALICE), 'nt_alerts'))
+  assert.equal(h.app.state.userPushPrefs.get(GROUP).notify.alerts, false)
+})
+
+test('digest mode sends one summary after the period ends, and /top shows the same report', async () => {
+  await h.send(callbackUpdate(BOB, user(BOB), 'nt_digest'))
+  await h.send(callbackUpdate(BOB, user(BOB), 'nt_digest'))
+  assert.equal(h.app.state.userPushPrefs.get(BOB).digest, 'daily')
+
+  const token = await h.chain.launch({ symbol: 'DGST', devBuy: '2' })
+  await h.synced()
+  assert.equal(h.telegram.messagesTo(BOB).some((m) => m.text.includes(token)), false)
+  assert.equal(h.app.state.deployHistory.find((d) => d.addr === token).launchMcUsd, 100)
+
+  await h.send(messageUpdate(ALICE, user(ALICE), '/top'))
+  const top = lastMessage(ALICE).text
+  assert.ok(top.startsWith(i18n.t('en', 'digest.top.daily')))
+  assert.ok(top.includes(i18n.t('en', 'digest.launches', { count: 1 })))
+  assert.ok(top.includes(token))
+
+  await h.app.sendDigests(Date.now())
+  await h.app.outbox.drain(5000)
+  assert.equal(h.telegram.messagesTo(BOB).some((m) => m.text.startsWith(i18n.t('en', 'digest.title.daily'))), false)
+
+  await h.app.sendDigests(Date.now() + 24 * 60 * 60 * 1000)
+  await h.app.outbox.drain(5000)
+  const digest = lastMessage(BOB).text
+  assert.ok(digest.startsWith(i18n.t('en', 'digest.title.daily')))
+  assert.ok(digest.includes(token))
+})
+
+test('a confirmed broadcast is answered right away and reports delivery once the queue has sent it', async () => {
+  await h.send(messageUpdate(ALICE, user(ALICE), '/broadcast hello everyone'))
+  const preview = h.telegram.calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === ALICE).at(-1)
+  await h.send(callbackUpdate(ALICE, user(ALICE), preview.payload.reply_markup.inline_keyboard[0][0].callback_data, preview.result.message_id))
+  const total = h.app.state.subscribedUsers.size
+  assert.ok(h.telegram.messagesTo(ALICE).some((m) => m.text === i18n.t('en', 'admin.broadcast.queued', { total })))
+
+  await h.telegram.waitForMessage(ALICE, (text) => text === i18n.t('en', 'admin.broadcast.done', { delivered: total, total }))
+  assert.ok(h.telegram.messagesTo(BOB).some((m) => m.text === 'hello everyone'))
+})
@@ -0,0 +1,79 @@
+// Trades with the shared bot wallet: /buy and /sell quotes are confirmed through the callback
+// buttons and filled against the mock bonding curve, and each user's position is booked separately.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { createHarness, i18n } from './helpers/harness.js'
+import { testAccount, REQUEST_CACHE_MS } from './helpers/chain.js'
+import { user, messageUpdate, callbackUpdate } from './helpers/telegram.js'
+
+const ALICE = 1001
+const BOB = 1002
+const CAROL = 1003
+
+let h
+let token
+
+before(async () => {
+  h = await createHarness({ env: { TRADER_ALLOWLIST: [ALICE, BOB, CAROL].join(',') } })
+  for (const id of [ALICE, BOB, CAROL]) await h.send(messageUpdate(id, user(id), '/start'))
+  token = await h.chain.launch({ symbol: 'TRADE', devBuy: '1' })
+  await h.synced()
+})
+
+after(() => h?.close())
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+const lastMessage = (chatId) => h.telegram.messagesTo(chatId).at(-1)
+const positionOf = (userId) => h.app.state.positions.get(userId)?.get(token)
+const walletBalance = () => new ethers.Contract(token, ['function balanceOf(address) view returns (uint256)'], h.chain.provider)
+  .balanceOf(testAccount(1).address)
+
+// 发送命令后点击报价上的确认按钮；本地链即时出块，等过请求合并窗口再下一单，免得读到旧 nonce
+async function trade(userId, command) {
+  await h.send(messageUpdate(userId, user(userId), command))
+  const quote = h.telegram.calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === userId).at(-1)
+  const confirm = quote.payload.reply_markup?.inline_keyboard.flat().find((b) => b.callback_data.startsWith('tr_ok_'))
+  assert.ok(confirm, `no quote for ${command}: ${quote.payload.text}`)
+  await h.send(callbackUpdate(userId, user(userId), confirm.callback_data, quote.result.message_id))
+  await sleep(REQUEST_CACHE_MS)
+}
+
+test('selling closes only the seller\'s position when two users hold the same token', async () => {
+  await trade(ALICE, `/buy ${token} 1`)
+  await trade(BOB, `/buy ${token} 2`)
+  const bobAmount = positionOf(BOB).amount
+  assert.equal((await walletBalance()).toString(), (BigInt(positionOf(ALICE).amount) + BigInt(bobAmount)).toString())
+
+  await trade(ALICE, `/sell ${token} 100`)
+  assert.equal(positionOf(ALICE), undefined)
+  assert.equal(positionOf(BOB).amount, bobAmount)
+  assert.equal((await walletBalance()).toString(), bobAmount)
+})
+
+test('a partial sell sells that share of the caller\'s own position', async () => {
+  const before = BigInt(positionOf(BOB).amount)
+  await trade(BOB, `/sell ${token} 50`)
+  assert.equal(positionOf(BOB).amount, (before - before / 2n).toString())
+})
+
+test('/sell without a position is refused', async () => {
+  await h.send(messageUpdate(CAROL, user(CAROL), `/sell ${token} 100`))
+  assert.equal(lastMessage(CAROL).text, i18n.t('en', 'trade.noPosition'))
+  assert.ok(BigInt(positionOf(BOB).amount) > 0n)
+})
+
+test('a trade that would revert is stopped by the preflight before it is broadcast', async () => {
+  await h.send(messageUpdate(CAROL, user(CAROL), `/buy ${token} 1`))
+  const quote = h.telegram.calls.filter((c) => c.method === 'sendMessage' && c.payload.chat_id === CAROL).at(-1)
+  const confirm = quote.payload.reply_markup.inline_keyboard.flat().find((b) => b.callback_data.startsWith('tr_ok_'))
+  // 报价之后曲线价格大涨，按报价的最小成交量买入必然触发滑点回滚
+  await h.chain.pump(token, '100')
+  const nonce = await h.chain.provider.getTransactionCount(testAccount(1).address)
+
+  await h.send(callbackUpdate(CAROL, user(CAROL), confirm.callback_data, quote.result.message_id))
+  assert.match(lastMessage(CAROL).text, /Preflight failed/)
+  assert.equal(await h.chain.provider.getTransactionCount(testAccount(1).address), nonce)
+  assert.equal(positionOf(CAROL), undefined)
+})